@@ -0,0 +1,48 @@
+/**
+ * Output Background
+ *
+ * Per-output background: `transparent` (the default), a `#rrggbb` solid
+ * colour, or `chroma-green` / `chroma-blue` for keyers that ignore alpha.
+ * The background is painted behind the page and composited into the frames
+ * sent, so receivers see it even where the page itself leaves gaps.
+ */
+
+export const CHROMA_KEY_COLORS = {
+  'chroma-green': '#00b140',
+  'chroma-blue': '#0047bb',
+};
+
+export const BACKGROUND_PATTERN = /^(transparent|chroma-green|chroma-blue|#[0-9a-f]{6})$/i;
+
+/**
+ * @param {string} [background]
+ * @returns {string} Lower-cased background, `transparent` when unset or invalid
+ */
+export function normalizeBackground(background) {
+  return typeof background === 'string' && BACKGROUND_PATTERN.test(background)
+    ? background.toLowerCase()
+    : 'transparent';
+}
+
+/**
+ * CSS injected into output pages for a background.
+ *
+ * @param {string} background  A normalized background
+ */
+export function backgroundCss(background) {
+  const color = CHROMA_KEY_COLORS[background] || background;
+  return `html, body, #root { background: ${color} !important; }`;
+}
+
+/**
+ * The colour composited into sent frames, in BGRA byte order.
+ *
+ * @param {string} background  A normalized background
+ * @returns {[number, number, number]|null} null for a transparent background
+ */
+export function backgroundToBgr(background) {
+  const color = CHROMA_KEY_COLORS[background] || background;
+  if (!/^#[0-9a-f]{6}$/.test(color)) return null;
+  const value = parseInt(color.slice(1), 16);
+  return [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff];
+}
@@ -2,11 +2,18 @@
  * CLI argument parser for the NDI companion.
  */
 
+import { LOG_LEVELS } from './logger.js';
+import { normalizeOrigin } from './outputUrl.js';
+
 const DEFAULT_HOST = '127.0.0.1';
 const DEFAULT_PORT = 9137;
 const DEFAULT_APP_URL = 'http://127.0.0.1:4000';
 
-export function parseArgs(argv) {
+/**
+ * @param {string[]} argv
+ * @param {object} [defaults]  Values from a `--config` file; flags override them
+ */
+export function parseArgs(argv, defaults = {}) {
   const args = {
     host: DEFAULT_HOST,
     port: DEFAULT_PORT,
@@ -14,7 +21,18 @@ export function parseArgs(argv) {
     hashRouting: true,
     authToken: '',
     userDataDir: '',
+    wsHost: '',
+    wsPort: 0,
+    httpHost: '',
+    httpPort: 0,
+    ipcSocket: '',
+    restoreOutputs: false,
+    configPath: '',
+    logLevel: 'info',
+    allowedOrigins: [],
+    ...defaults,
   };
+  let flagOrigins = null;
 
   for (let i = 0; i < argv.length; i++) {
     if (argv[i] === '--host' && argv[i + 1]) {
@@ -22,10 +40,36 @@ export function parseArgs(argv) {
     } else if (argv[i] === '--port' && argv[i + 1]) {
       const p = Number(argv[++i]);
       if (Number.isFinite(p) && p >= 1024 && p <= 65535) args.port = p;
+    } else if (argv[i] === '--ipc-socket' && argv[i + 1]) {
+      args.ipcSocket = argv[++i];
+    } else if (argv[i] === '--ws-host' && argv[i + 1]) {
+      args.wsHost = argv[++i];
+    } else if (argv[i] === '--ws-port' && argv[i + 1]) {
+      const p = Number(argv[++i]);
+      if (Number.isFinite(p) && p >= 1024 && p <= 65535) args.wsPort = p;
+    } else if (argv[i] === '--http-host' && argv[i + 1]) {
+      args.httpHost = argv[++i];
+    } else if (argv[i] === '--http-port' && argv[i + 1]) {
+      const p = Number(argv[++i]);
+      if (Number.isFinite(p) && p >= 1024 && p <= 65535) args.httpPort = p;
     } else if (argv[i] === '--auth-token' && argv[i + 1]) {
       args.authToken = argv[++i];
     } else if (argv[i] === '--app-url' && argv[i + 1]) {
       args.appUrl = argv[++i];
+    } else if (argv[i] === '--config' && argv[i + 1]) {
+      args.configPath = argv[++i];
+    } else if (argv[i] === '--log-level' && argv[i + 1]) {
+      const level = argv[++i];
+      if (LOG_LEVELS.includes(level)) args.logLevel = level;
+    } else if (argv[i] === '--allow-origin' && argv[i + 1]) {
+      // Repeatable and comma-separated; replaces the config file's list.
+      flagOrigins = flagOrigins || [];
+      for (const value of argv[++i].split(',')) {
+        const origin = normalizeOrigin(value.trim());
+        if (origin) flagOrigins.push(origin);
+      }
+    } else if (argv[i] === '--restore-outputs') {
+      args.restoreOutputs = true;
     } else if (argv[i] === '--no-hash') {
       args.hashRouting = false;
     } else if (argv[i] === '--user-data-dir' && argv[i + 1]) {
@@ -35,5 +79,6 @@ export function parseArgs(argv) {
     }
   }
 
+  if (flagOrigins) args.allowedOrigins = flagOrigins;
   return args;
 }
@@ -0,0 +1,190 @@
+/**
+ * Config File
+ *
+ * Standalone mode reads the backend URL, IPC settings and outputs from a
+ * JSON file instead of waiting for the main app:
+ *
+ *   {
+ *     "appUrl": "http://10.0.0.5:4000",
+ *     "hashRouting": true,
+ *     "allowedOrigins": ["https://overlays.example.com"],
+ *     "ipc": { "host": "127.0.0.1", "port": 9137, "authToken": "…" },
+ *     "outputs": {
+ *       "output1": { "resolution": "1080p", "framerate": 30, "sourceName": "Lyrics" },
+ *       "stage": { "enabled": false }
+ *     }
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OUTPUT_CONFIG_SCHEMA, validateSchema } from './ipcProtocol.js';
+import { LOG_LEVELS } from './logger.js';
+import { normalizeOrigin } from './outputUrl.js';
+
+const port = { type: 'integer', minimum: 1024, maximum: 65535 };
+
+export const CONFIG_FILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    appUrl: { type: 'string', minLength: 1, maxLength: 2048 },
+    hashRouting: { type: 'boolean' },
+    logLevel: { enum: LOG_LEVELS },
+    allowedOrigins: { type: 'array', maxItems: 64, items: { type: 'string', minLength: 1, maxLength: 2048 } },
+    ipc: {
+      type: 'object',
+      properties: {
+        host: { type: 'string', minLength: 1, maxLength: 255 },
+        port,
+        authToken: { type: 'string', maxLength: 1024 },
+        socket: { type: 'string', maxLength: 1024 },
+        wsHost: { type: 'string', minLength: 1, maxLength: 255 },
+        wsPort: port,
+        httpHost: { type: 'string', minLength: 1, maxLength: 255 },
+        httpPort: port,
+      },
+    },
+    outputs: { type: 'record', keys: 'outputKey', values: OUTPUT_CONFIG_SCHEMA },
+  },
+};
+
+const WATCH_DEBOUNCE_MS = 250;
+
+/**
+ * Parse and validate config file contents.
+ *
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} naming the offending field
+ */
+export function parseConfigFile(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`invalid JSON: ${err.message}`);
+  }
+  const error = validateSchema(CONFIG_FILE_SCHEMA, config, 'config');
+  if (error) throw new Error(error.message);
+  return config;
+}
+
+export function readConfigFile(filePath) {
+  return parseConfigFile(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Map a config file onto parseArgs() defaults; command-line flags still win.
+ */
+export function configToArgs(config) {
+  const args = {};
+  const { ipc = {} } = config;
+  if (config.appUrl) args.appUrl = config.appUrl;
+  if (config.hashRouting != null) args.hashRouting = config.hashRouting;
+  if (config.logLevel) args.logLevel = config.logLevel;
+  if (config.allowedOrigins) {
+    args.allowedOrigins = config.allowedOrigins.map(normalizeOrigin).filter(Boolean);
+  }
+  if (ipc.host) args.host = ipc.host;
+  if (ipc.port) args.port = ipc.port;
+  if (ipc.authToken) args.authToken = ipc.authToken;
+  if (ipc.socket) args.ipcSocket = ipc.socket;
+  if (ipc.wsHost) args.wsHost = ipc.wsHost;
+  if (ipc.wsPort) args.wsPort = ipc.wsPort;
+  if (ipc.httpHost) args.httpHost = ipc.httpHost;
+  if (ipc.httpPort) args.httpPort = ipc.httpPort;
+  return args;
+}
+
+/**
+ * Outputs listed in a config file are enabled unless they say `enabled: false`.
+ *
+ * @returns {Object<string, object>} Output key → config for the enabled outputs
+ */
+export function enabledConfigOutputs(config) {
+  const enabled = {};
+  for (const [key, output] of Object.entries(config.outputs || {})) {
+    if (output.enabled !== false) enabled[key] = output;
+  }
+  return enabled;
+}
+
+/**
+ * Work out which outputs an edit to the config file enables, updates or
+ * disables.  Outputs whose config is unchanged are left alone.
+ *
+ * @param {object} previous  Config currently applied
+ * @param {object} next      Config just read
+ * @returns {{ enable: string[], update: string[], disable: string[] }}
+ */
+export function diffConfigOutputs(previous, next) {
+  const before = enabledConfigOutputs(previous);
+  const after = enabledConfigOutputs(next);
+  const changes = { enable: [], update: [], disable: [] };
+
+  for (const [key, output] of Object.entries(after)) {
+    if (!before[key]) {
+      changes.enable.push(key);
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(output)) {
+      changes.update.push(key);
+    }
+  }
+  for (const key of Object.keys(before)) {
+    if (!after[key]) changes.disable.push(key);
+  }
+  return changes;
+}
+
+/**
+ * Call `onChange(config)` whenever the file is saved with valid contents.
+ * The directory is watched so editors that replace the file are noticed.
+ *
+ * @param {string} filePath
+ * @param {(config: object) => void} onChange
+ * @param {(err: Error) => void} [onError]  Called when the edited file does not parse or validate
+ * @returns {() => void} stop watching
+ */
+export function watchConfigFile(filePath, onChange, onError = () => { }) {
+  const resolved = path.resolve(filePath);
+  const fileName = path.basename(resolved);
+  let lastText = null;
+  let timer = null;
+
+  try {
+    lastText = fs.readFileSync(resolved, 'utf8');
+  } catch { /* reported on the next change */ }
+
+  const reload = () => {
+    timer = null;
+    let text;
+    try {
+      text = fs.readFileSync(resolved, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') onError(err);
+      return;
+    }
+    if (text === lastText) return;
+    lastText = text;
+
+    let config;
+    try {
+      config = parseConfigFile(text);
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    onChange(config);
+  };
+
+  const watcher = fs.watch(path.dirname(resolved), (_eventType, changed) => {
+    if (changed && changed !== fileName) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, WATCH_DEBOUNCE_MS);
+  });
+  watcher.on('error', onError);
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
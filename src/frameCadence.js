@@ -0,0 +1,91 @@
+/**
+ * Frame Cadence
+ *
+ * Fixed-rate frame clock for a single output.  Chromium only fires `paint`
+ * when the page changes, so the cadence keeps the newest submitted frame and
+ * hands it to `onTick` once per frame interval: a new frame when one arrived
+ * since the previous tick, otherwise the last frame again.
+ */
+
+/**
+ * @typedef {Object} FrameCadenceTick
+ * @property {boolean} fresh     – true when the frame was submitted since the previous tick
+ * @property {number} coalesced  – frames superseded by a newer submission within this tick
+ */
+
+/**
+ * Create a fixed-rate cadence.
+ *
+ * @param {number} framerate  Ticks per second
+ * @param {(frame: any, tick: FrameCadenceTick) => void} onTick
+ * @param {object} [opts]
+ * @param {() => number} [opts.now]  Monotonic clock in milliseconds
+ */
+export function createFrameCadence(framerate, onTick, opts = {}) {
+  const now = opts.now || (() => performance.now());
+  const intervalMs = 1000 / framerate;
+
+  let pending = null;
+  let pendingCount = 0;
+  let latest = null;
+  let timer = null;
+  let nextTickAt = 0;
+  let running = false;
+
+  const schedule = () => {
+    nextTickAt += intervalMs;
+    const current = now();
+    // Resync after a long stall instead of bursting the missed ticks.
+    if (nextTickAt < current - intervalMs) {
+      nextTickAt = current;
+    }
+    timer = setTimeout(tick, Math.max(0, nextTickAt - current));
+  };
+
+  const tick = () => {
+    timer = null;
+    const fresh = pending !== null;
+    const coalesced = Math.max(0, pendingCount - 1);
+    if (fresh) {
+      latest = pending;
+      pending = null;
+    }
+    pendingCount = 0;
+
+    try {
+      if (latest !== null) onTick(latest, { fresh, coalesced });
+    } finally {
+      if (running) schedule();
+    }
+  };
+
+  return {
+    get running() {
+      return running;
+    },
+
+    /** Offer a frame for the next tick; an earlier pending frame is replaced. */
+    submit(frame) {
+      pending = frame;
+      pendingCount++;
+    },
+
+    start() {
+      if (running) return;
+      running = true;
+      nextTickAt = now();
+      schedule();
+    },
+
+    stop() {
+      running = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      pending = null;
+      pendingCount = 0;
+      latest = null;
+    },
+  };
+}
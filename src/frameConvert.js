@@ -0,0 +1,163 @@
+/**
+ * Frame Convert
+ *
+ * Pixel conversions applied to captured BGRA frames before they are sent.
+ * Chromium paints premultiplied BGRA, so a fill produced here is already
+ * shaped by its key.
+ */
+
+/**
+ * Split a BGRA frame into an opaque fill and a key carrying alpha as luma.
+ *
+ * @param {Uint8Array} bgra  Source pixels (width * height * 4 bytes)
+ * @param {Uint8Array} fill  Destination for the fill, same size as `bgra`
+ * @param {Uint8Array} key   Destination for the key, same size as `bgra`
+ * @param {[number, number, number]|null} [background]  Fill colour behind transparent pixels (B, G, R)
+ */
+export function splitFillKey(bgra, fill, key, background = null) {
+  if (background) {
+    compositeBackground(bgra, background, fill);
+  }
+  for (let i = 0; i < bgra.length; i += 4) {
+    const alpha = bgra[i + 3];
+    if (!background) {
+      fill[i] = bgra[i];
+      fill[i + 1] = bgra[i + 1];
+      fill[i + 2] = bgra[i + 2];
+      fill[i + 3] = 255;
+    }
+    key[i] = alpha;
+    key[i + 1] = alpha;
+    key[i + 2] = alpha;
+    key[i + 3] = 255;
+  }
+}
+
+/**
+ * Composite premultiplied BGRA over a solid colour, leaving opaque pixels.
+ *
+ * @param {Uint8Array} bgra
+ * @param {[number, number, number]} background  B, G, R
+ * @param {Uint8Array} dst  Same size as `bgra`; may be `bgra` itself
+ * @returns {Uint8Array} dst
+ */
+export function compositeBackground(bgra, background, dst) {
+  const [bb, bg, br] = background;
+  for (let i = 0; i < bgra.length; i += 4) {
+    const inverse = 255 - bgra[i + 3];
+    dst[i] = bgra[i] + ((bb * inverse + 127) / 255 | 0);
+    dst[i + 1] = bgra[i + 1] + ((bg * inverse + 127) / 255 | 0);
+    dst[i + 2] = bgra[i + 2] + ((br * inverse + 127) / 255 | 0);
+    dst[i + 3] = 255;
+  }
+  return dst;
+}
+
+/**
+ * Bytes needed for one converted plane set in the given pixel format.
+ *
+ * @param {'bgra'|'uyvy'|'uyva'} pixelFormat
+ * @param {number} width
+ * @param {number} height
+ */
+export function frameByteLength(pixelFormat, width, height) {
+  if (pixelFormat === 'uyvy') return width * height * 2;
+  if (pixelFormat === 'uyva') return width * height * 3;
+  return width * height * 4;
+}
+
+/**
+ * Convert BGRA to UYVY 4:2:2 using BT.709 limited-range coefficients.
+ * Chroma is averaged over each horizontal pixel pair.
+ *
+ * @param {Uint8Array} bgra
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} dst  At least width * height * 2 bytes
+ */
+export function bgraToUyvy(bgra, width, height, dst) {
+  for (let y = 0; y < height; y++) {
+    const srcRow = y * width * 4;
+    const dstRow = y * width * 2;
+    for (let x = 0; x < width; x += 2) {
+      const s0 = srcRow + x * 4;
+      const s1 = x + 1 < width ? s0 + 4 : s0;
+      const b0 = bgra[s0], g0 = bgra[s0 + 1], r0 = bgra[s0 + 2];
+      const b1 = bgra[s1], g1 = bgra[s1 + 1], r1 = bgra[s1 + 2];
+      const r = (r0 + r1) >> 1;
+      const g = (g0 + g1) >> 1;
+      const b = (b0 + b1) >> 1;
+      const d = dstRow + x * 2;
+      dst[d] = ((-26 * r - 86 * g + 112 * b + 128) >> 8) + 128;
+      dst[d + 1] = ((47 * r0 + 157 * g0 + 16 * b0 + 128) >> 8) + 16;
+      dst[d + 2] = ((112 * r - 102 * g - 10 * b + 128) >> 8) + 128;
+      if (x + 1 < width) {
+        dst[d + 3] = ((47 * r1 + 157 * g1 + 16 * b1 + 128) >> 8) + 16;
+      }
+    }
+  }
+}
+
+/**
+ * Convert BGRA to UYVA: a UYVY plane followed by a full-resolution alpha plane.
+ */
+export function bgraToUyva(bgra, width, height, dst) {
+  bgraToUyvy(bgra, width, height, dst);
+  const alphaOffset = width * height * 2;
+  for (let i = 0, p = 3; i < width * height; i++, p += 4) {
+    dst[alphaOffset + i] = bgra[p];
+  }
+}
+
+/**
+ * Write the alpha channel of a BGRA frame as a limited-range UYVY key.
+ */
+export function alphaToUyvyKey(bgra, width, height, dst) {
+  for (let i = 0, p = 3; i < width * height; i++, p += 4) {
+    const d = i * 2;
+    dst[d] = 128;
+    dst[d + 1] = ((bgra[p] * 220) >> 8) + 16;
+  }
+}
+
+/**
+ * Run one conversion job in place.
+ *
+ * @param {object} job
+ * @param {'bgra'|'uyvy'|'uyva'} job.pixelFormat
+ * @param {'embedded'|'fill-key'} job.alphaMode
+ * @param {number} job.width
+ * @param {number} job.height
+ * @param {Uint8Array} job.src   BGRA source pixels
+ * @param {Uint8Array} job.fill  Destination for the video (or fill) plane set
+ * @param {Uint8Array|null} job.key  Destination for the key in fill-key mode
+ * @param {[number, number, number]|null} [job.background]  Colour composited behind the page (B, G, R)
+ * @param {Uint8Array|null} [job.scratch]  BGRA-sized buffer for compositing before a UYVY conversion
+ */
+export function convertFrame({ pixelFormat, alphaMode, width, height, src, fill, key, background = null, scratch = null }) {
+  if (alphaMode === 'fill-key') {
+    if (pixelFormat === 'bgra') {
+      splitFillKey(src, fill, key, background);
+    } else {
+      bgraToUyvy(background ? compositeBackground(src, background, scratch) : src, width, height, fill);
+      alphaToUyvyKey(src, width, height, key);
+    }
+    return;
+  }
+
+  if (pixelFormat === 'bgra') {
+    if (background) {
+      compositeBackground(src, background, fill);
+    } else {
+      fill.set(src);
+    }
+    return;
+  }
+
+  const pixels = background ? compositeBackground(src, background, scratch) : src;
+  if (pixelFormat === 'uyvy') {
+    bgraToUyvy(pixels, width, height, fill);
+  } else {
+    bgraToUyva(pixels, width, height, fill);
+  }
+}
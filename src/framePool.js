@@ -0,0 +1,77 @@
+/**
+ * Frame Pool
+ *
+ * Reference-counted pool of frame buffers backed by SharedArrayBuffers, so
+ * worker threads can read and write them without copies or transfers.  A
+ * slot returns to the pool once every holder (converter, in-flight NDI
+ * send, …) has released it.
+ */
+
+/**
+ * @typedef {Object} FrameSlot
+ * @property {Object<string, Buffer>} buffers – one buffer per plane name
+ * @property {number} refs
+ * @property {string} layout
+ */
+
+/**
+ * Create a pool whose slots hold one buffer per named plane.
+ */
+export function createFramePool() {
+  /** @type {FrameSlot[]} */
+  const free = [];
+  let layout = '';
+  let allocated = 0;
+
+  return {
+    /** Slots allocated for the current layout (free or in use). */
+    get allocated() {
+      return allocated;
+    },
+
+    /** Slots of the current layout waiting in the pool. */
+    get available() {
+      return free.length;
+    },
+
+    /**
+     * Take a slot with one reference held by the caller.
+     *
+     * @param {Object<string, number>} sizes  Byte length per plane name; 0 skips the plane
+     * @returns {FrameSlot}
+     */
+    acquire(sizes) {
+      const requestedLayout = Object.entries(sizes).map(([name, size]) => `${name}=${size}`).join(',');
+      if (requestedLayout !== layout) {
+        // Buffers of the old size are dropped as their holders release them.
+        free.length = 0;
+        layout = requestedLayout;
+        allocated = 0;
+      }
+
+      let slot = free.pop();
+      if (!slot) {
+        const buffers = {};
+        for (const [name, size] of Object.entries(sizes)) {
+          buffers[name] = size > 0 ? Buffer.from(new SharedArrayBuffer(size)) : null;
+        }
+        slot = { buffers, refs: 0, layout };
+        allocated++;
+      }
+      slot.refs = 1;
+      return slot;
+    },
+
+    retain(slot) {
+      slot.refs++;
+    },
+
+    release(slot) {
+      if (!slot || slot.refs <= 0) return;
+      slot.refs--;
+      if (slot.refs === 0 && slot.layout === layout) {
+        free.push(slot);
+      }
+    },
+  };
+}
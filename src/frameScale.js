@@ -0,0 +1,206 @@
+/**
+ * Frame Scale
+ *
+ * Maps an output's rendered page onto the frame it sends.  The page can be
+ * rendered at a size other than the sent one, and an optional crop of the
+ * render is scaled to the sent size, either stretched or fitted with
+ * letterbox or pillarbox bars.  Bars are transparent, so the output's
+ * background (or its alpha) shows through them.
+ */
+
+export const SCALE_MODES = ['fit', 'stretch'];
+
+/**
+ * @typedef {Object} CropRect
+ * @property {number} x       Render pixels from the left edge
+ * @property {number} y       Render pixels from the top edge
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} FrameGeometry
+ * @property {number} renderWidth   Page (window) size
+ * @property {number} renderHeight
+ * @property {CropRect|null} crop   null sends the whole render
+ * @property {'fit'|'stretch'} scaleMode
+ */
+
+/**
+ * @typedef {Object} ScalePlan
+ * @property {number} sx  Source rectangle in capture pixels
+ * @property {number} sy
+ * @property {number} sw
+ * @property {number} sh
+ * @property {number} dx  Destination rectangle in sent pixels
+ * @property {number} dy
+ * @property {number} dw
+ * @property {number} dh
+ */
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * The frame geometry fields set in an output config.
+ *
+ * @returns {{ renderWidth?: number, renderHeight?: number, crop?: CropRect, scaleMode?: string }}
+ */
+export function pickFrameGeometry(config = {}) {
+  const picked = {};
+  if (config.renderWidth) picked.renderWidth = config.renderWidth;
+  if (config.renderHeight) picked.renderHeight = config.renderHeight;
+  if (config.crop) picked.crop = config.crop;
+  if (config.scaleMode) picked.scaleMode = config.scaleMode;
+  return picked;
+}
+
+/**
+ * Fill in frame geometry defaults: render at the sent size, no crop, fit.
+ * A crop is clamped to the render and dropped when it covers all of it.
+ *
+ * @param {object} config
+ * @param {number} sendWidth
+ * @param {number} sendHeight
+ * @returns {FrameGeometry}
+ */
+export function normalizeFrameGeometry(config, sendWidth, sendHeight) {
+  const renderWidth = config?.renderWidth || sendWidth;
+  const renderHeight = config?.renderHeight || sendHeight;
+  return {
+    renderWidth,
+    renderHeight,
+    crop: clampCrop(config?.crop, renderWidth, renderHeight),
+    scaleMode: SCALE_MODES.includes(config?.scaleMode) ? config.scaleMode : 'fit',
+  };
+}
+
+function clampCrop(crop, width, height) {
+  if (!crop) return null;
+  const x = clamp(Math.round(crop.x) || 0, 0, width - 1);
+  const y = clamp(Math.round(crop.y) || 0, 0, height - 1);
+  const rect = {
+    x,
+    y,
+    width: clamp(Math.round(crop.width) || width, 1, width - x),
+    height: clamp(Math.round(crop.height) || height, 1, height - y),
+  };
+  const whole = rect.x === 0 && rect.y === 0 && rect.width === width && rect.height === height;
+  return whole ? null : rect;
+}
+
+/**
+ * Check that a config's crop lies within its render size.  Axes whose
+ * render size the config does not settle are not checked.
+ *
+ * @param {object} config
+ * @param {{ width: number, height: number }|null} sendSize  The sent size when the config sets it
+ * @returns {{ path: string, message: string }|null}
+ */
+export function checkFrameGeometry(config = {}, sendSize = null) {
+  const { crop } = config;
+  if (!crop) return null;
+  const renderWidth = config.renderWidth || sendSize?.width;
+  const renderHeight = config.renderHeight || sendSize?.height;
+  if (renderWidth && crop.x + crop.width > renderWidth) {
+    return { path: 'crop.width', message: `crop must fit within the ${renderWidth}px render width` };
+  }
+  if (renderHeight && crop.y + crop.height > renderHeight) {
+    return { path: 'crop.height', message: `crop must fit within the ${renderHeight}px render height` };
+  }
+  return null;
+}
+
+/**
+ * Work out how a capture maps onto the sent frame.
+ *
+ * @param {number} srcWidth   Capture size, normally the render size
+ * @param {number} srcHeight
+ * @param {CropRect|null} crop
+ * @param {number} dstWidth   Sent size
+ * @param {number} dstHeight
+ * @param {'fit'|'stretch'} scaleMode
+ * @returns {ScalePlan|null} null when the capture is sent as it is
+ */
+export function planFrameScale(srcWidth, srcHeight, crop, dstWidth, dstHeight, scaleMode) {
+  const cropped = clampCrop(crop, srcWidth, srcHeight);
+  if (!cropped && srcWidth === dstWidth && srcHeight === dstHeight) return null;
+  const source = cropped || { x: 0, y: 0, width: srcWidth, height: srcHeight };
+
+  let dw = dstWidth;
+  let dh = dstHeight;
+  if (scaleMode !== 'stretch') {
+    const scale = Math.min(dstWidth / source.width, dstHeight / source.height);
+    dw = clamp(Math.round(source.width * scale), 1, dstWidth);
+    dh = clamp(Math.round(source.height * scale), 1, dstHeight);
+  }
+  return {
+    sx: source.x,
+    sy: source.y,
+    sw: source.width,
+    sh: source.height,
+    dx: (dstWidth - dw) >> 1,
+    dy: (dstHeight - dh) >> 1,
+    dw,
+    dh,
+  };
+}
+
+/**
+ * Blend two packed BGRA pixels, two channels per multiply.  `weight` is the
+ * share of `q` in 1/128ths.
+ */
+function lerpPixel(p, q, weight) {
+  const inverse = 128 - weight;
+  const rb = (((p & 0xff00ff) * inverse + (q & 0xff00ff) * weight + 0x400040) >>> 7) & 0xff00ff;
+  const ga = ((((p >>> 8) & 0xff00ff) * inverse + ((q >>> 8) & 0xff00ff) * weight + 0x400040) >>> 7) & 0xff00ff;
+  return rb | (ga << 8);
+}
+
+/**
+ * Scale premultiplied BGRA with bilinear filtering.  Pixels outside the
+ * plan's destination rectangle are cleared to transparent.  Both buffers
+ * must start on a 4-byte boundary.
+ *
+ * @param {Uint8Array} src
+ * @param {number} srcWidth
+ * @param {ScalePlan} plan
+ * @param {Uint8Array} dst  dstWidth * dstHeight * 4 bytes
+ * @param {number} dstWidth
+ * @param {number} dstHeight
+ * @returns {Uint8Array} dst
+ */
+export function scaleFrame(src, srcWidth, plan, dst, dstWidth, dstHeight) {
+  const { sx, sy, sw, sh, dx, dy, dw, dh } = plan;
+  if (dw !== dstWidth || dh !== dstHeight) dst.fill(0);
+  const srcPixels = new Uint32Array(src.buffer, src.byteOffset, src.length >> 2);
+  const dstPixels = new Uint32Array(dst.buffer, dst.byteOffset, dst.length >> 2);
+
+  // Horizontal taps are the same on every row.
+  const lastX = sx + sw - 1;
+  const left = new Int32Array(dw);
+  const right = new Int32Array(dw);
+  const xWeight = new Int32Array(dw);
+  for (let x = 0; x < dw; x++) {
+    const fx = sx + Math.max(0, ((x + 0.5) * sw) / dw - 0.5);
+    const x0 = Math.min(Math.floor(fx), lastX);
+    left[x] = x0;
+    right[x] = Math.min(x0 + 1, lastX);
+    xWeight[x] = Math.round((fx - x0) * 128);
+  }
+
+  const lastY = sy + sh - 1;
+  for (let y = 0; y < dh; y++) {
+    const fy = sy + Math.max(0, ((y + 0.5) * sh) / dh - 0.5);
+    const y0 = Math.min(Math.floor(fy), lastY);
+    const yWeight = Math.round((fy - y0) * 128);
+    const top = y0 * srcWidth;
+    const bottom = Math.min(y0 + 1, lastY) * srcWidth;
+    let d = (dy + y) * dstWidth + dx;
+    for (let x = 0; x < dw; x++, d++) {
+      const upper = lerpPixel(srcPixels[top + left[x]], srcPixels[top + right[x]], xWeight[x]);
+      const lower = lerpPixel(srcPixels[bottom + left[x]], srcPixels[bottom + right[x]], xWeight[x]);
+      dstPixels[d] = lerpPixel(upper, lower, yWeight);
+    }
+  }
+  return dst;
+}
@@ -0,0 +1,81 @@
+/**
+ * Framerates
+ *
+ * Output framerates as the rationals NDI sends.  Whole rates from 1 to 240
+ * fps are sent as N/1.  The broadcast rates are 24, 30, 48, 60 and 120 fps
+ * slowed by 1000/1001, given as `60000/1001` or as the decimal `59.94`.
+ * Other fractional rates are rejected.
+ */
+
+export const MAX_FRAMERATE = 240;
+const NTSC_BASES = [24, 30, 48, 60, 120];
+const RATIO_PATTERN = /^(\d{1,6})\/(\d{1,4})$/;
+const DECIMAL_PATTERN = /^\d{1,3}(\.\d{1,3})?$/;
+
+/**
+ * @typedef {Object} Framerate
+ * @property {number} numerator    NDI frameRateN
+ * @property {number} denominator  NDI frameRateD
+ */
+
+const greatestCommonDivisor = (a, b) => (b === 0 ? a : greatestCommonDivisor(b, a % b));
+
+function supportedRatio(numerator, denominator) {
+  if (denominator === 0) return null;
+  const divisor = greatestCommonDivisor(numerator, denominator);
+  const n = numerator / divisor;
+  const d = denominator / divisor;
+  if (d === 1 && n >= 1 && n <= MAX_FRAMERATE) return { numerator: n, denominator: 1 };
+  if (d === 1001 && n % 1000 === 0 && NTSC_BASES.includes(n / 1000)) return { numerator: n, denominator: 1001 };
+  return null;
+}
+
+/**
+ * Parse a configured framerate: a number such as `30` or `59.94`, or a
+ * string such as `"60000/1001"` or `"29.97"`.
+ *
+ * @param {number|string} value
+ * @returns {Framerate|null} null when NDI does not support the rate
+ */
+export function parseFramerate(value) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    const ratio = RATIO_PATTERN.exec(text);
+    if (ratio) return supportedRatio(Number(ratio[1]), Number(ratio[2]));
+    return DECIMAL_PATTERN.test(text) ? parseFramerate(Number(text)) : null;
+  }
+  if (!Number.isFinite(value)) return null;
+  if (Number.isInteger(value)) return supportedRatio(value, 1);
+  // Decimal broadcast rates are rounded (59.94, 23.976), so match them loosely.
+  const base = NTSC_BASES.find((rate) => Math.abs(value - (rate * 1000) / 1001) < 0.005);
+  return base ? { numerator: base * 1000, denominator: 1001 } : null;
+}
+
+/**
+ * Frames per second as a number, for timing.
+ *
+ * @param {Framerate} framerate
+ */
+export function framerateToNumber({ numerator, denominator }) {
+  return numerator / denominator;
+}
+
+/**
+ * The config value for a framerate: a number for whole rates, otherwise
+ * the exact `N/D` string.
+ *
+ * @param {Framerate} framerate
+ * @returns {number|string}
+ */
+export function formatFramerate({ numerator, denominator }) {
+  return denominator === 1 ? numerator : `${numerator}/${denominator}`;
+}
+
+/**
+ * A short label for logs and stats, such as `59.94` or `23.976`.
+ *
+ * @param {Framerate} framerate
+ */
+export function describeFramerate(framerate) {
+  return String(Number(framerateToNumber(framerate).toFixed(3)));
+}
@@ -0,0 +1,258 @@
+/**
+ * HTTP API
+ *
+ * Optional local HTTP listener for scripts and monitoring tools:
+ *
+ *   GET    /health        – liveness and NDI backend state
+ *   GET    /stats         – the `request_stats` payload
+ *   GET    /metrics       – the same stats in Prometheus text format
+ *   GET    /outputs       – configs of the enabled outputs
+ *   PUT    /outputs/:key  – enable or update an output (JSON config body)
+ *   DELETE /outputs/:key  – disable an output
+ *
+ * Requests carry the IPC auth token as `Authorization: Bearer <token>` or
+ * `X-Auth-Token`.  Errors use the IPC error codes:
+ * `{ "error": { "code": "E_…", "message": "…" } }`.
+ */
+
+import http from 'http';
+import { app } from 'electron';
+import {
+  IPC_ERROR_CODES,
+  IPC_PROTOCOL_VERSION,
+  MAX_IPC_MESSAGE_BYTES,
+  OUTPUT_CONFIG_SCHEMA,
+  authTokensMatch,
+  isKnownOutputKey,
+  validateSchema,
+} from './ipcProtocol.js';
+import { httpStatusForError, matchHttpRoute, readHttpAuthToken } from './httpRoutes.js';
+import {
+  checkOutputSource,
+  enableOutput,
+  disableOutput,
+  updateOutputConfig,
+  getOutputStats,
+  getOutputConfigs,
+  isOutputEnabled,
+} from './outputManager.js';
+import { getNdiBackendState } from './ndiSender.js';
+import { formatPrometheusMetrics } from './prometheusMetrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('HTTP');
+
+let server = null;
+let requiredAuthToken = '';
+
+/**
+ * Start the HTTP API on `host:port`.
+ *
+ * @param {string} host
+ * @param {number} port  0 picks a free port
+ * @param {object} [options]
+ * @param {string} [options.authToken]  Same token the IPC server requires
+ * @returns {Promise<number>} resolves with the bound port once listening
+ */
+export function startHttpApi(host, port, options = {}) {
+  if (server) return Promise.reject(new Error('HTTP API is already running'));
+  requiredAuthToken = String(options.authToken || '');
+  if (!requiredAuthToken) {
+    log.warn('HTTP API has no auth token – any local process can control the companion');
+  }
+
+  server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      sendError(res, IPC_ERROR_CODES.COMMAND_FAILED, error?.message || 'Command failed');
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      server.on('error', (err) => log.error('Server error', { error: err }));
+      const { port: boundPort } = server.address();
+      log.info(`Listening on http://${host}:${boundPort}`);
+      resolve(boundPort);
+    });
+  });
+}
+
+export function stopHttpApi() {
+  if (server) {
+    try {
+      server.close();
+      server.closeAllConnections?.();
+    } catch { /* ignore */ }
+    server = null;
+  }
+  requiredAuthToken = '';
+}
+
+function sendJson(res, status, body) {
+  if (res.headersSent) return;
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    'Cache-Control': 'no-store',
+  });
+  res.end(text);
+}
+
+function sendError(res, code, message, details = {}) {
+  sendJson(res, httpStatusForError(code), { error: { code, message, ...details } });
+}
+
+/**
+ * Read and parse a JSON request body.  An empty body is an empty object.
+ *
+ * @returns {Promise<{ body?: object, error?: { code: string, message: string } }>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_IPC_MESSAGE_BYTES) {
+        tooLarge = true;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) {
+        resolve({ error: { code: IPC_ERROR_CODES.MESSAGE_TOO_LARGE, message: 'request body too large' } });
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        resolve({ body: {} });
+        return;
+      }
+      try {
+        resolve({ body: JSON.parse(text) });
+      } catch {
+        resolve({ error: { code: IPC_ERROR_CODES.INVALID_JSON, message: 'invalid JSON' } });
+      }
+    });
+    req.on('error', () => resolve({ error: { code: IPC_ERROR_CODES.INVALID_MESSAGE, message: 'request aborted' } }));
+  });
+}
+
+async function handleRequest(req, res) {
+  if (!authTokensMatch(readHttpAuthToken(req.headers), requiredAuthToken)) {
+    req.resume();
+    sendError(res, IPC_ERROR_CODES.UNAUTHORIZED, 'unauthorized');
+    return;
+  }
+
+  const match = matchHttpRoute(req.method, req.url);
+  if (match.error) {
+    req.resume();
+    if (match.error === 'method_not_allowed') {
+      sendJson(res, 405, { error: { code: IPC_ERROR_CODES.UNKNOWN_COMMAND, message: `method not allowed: ${req.method}` } });
+    } else {
+      sendError(res, IPC_ERROR_CODES.UNKNOWN_COMMAND, `not found: ${req.url}`);
+    }
+    return;
+  }
+
+  switch (match.route) {
+    case 'health': {
+      const ndi = getNdiBackendState();
+      sendJson(res, ndi.available ? 200 : 503, {
+        ok: ndi.available,
+        companion: 'lyricdisplay-ndi',
+        version: app.getVersion(),
+        protocolVersion: IPC_PROTOCOL_VERSION,
+        ndi,
+        outputs: Object.keys(getOutputConfigs()),
+      });
+      break;
+    }
+
+    case 'stats': {
+      sendJson(res, 200, getOutputStats());
+      break;
+    }
+
+    case 'metrics': {
+      const text = formatPrometheusMetrics(getOutputStats());
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text),
+        'Cache-Control': 'no-store',
+      });
+      res.end(text);
+      break;
+    }
+
+    case 'outputs': {
+      const outputs = {};
+      for (const [key, config] of Object.entries(getOutputConfigs())) {
+        outputs[key] = { ...config, enabled: true };
+      }
+      sendJson(res, 200, { outputs });
+      break;
+    }
+
+    case 'output': {
+      const { outputKey } = match;
+      if (!isKnownOutputKey(outputKey)) {
+        req.resume();
+        sendError(res, IPC_ERROR_CODES.UNKNOWN_OUTPUT, `unknown output key: ${outputKey}`);
+        break;
+      }
+
+      if (req.method === 'DELETE') {
+        req.resume();
+        if (!isOutputEnabled(outputKey)) {
+          sendError(res, IPC_ERROR_CODES.OUTPUT_NOT_ENABLED, `output not enabled: ${outputKey}`);
+          break;
+        }
+        await disableOutput(outputKey);
+        sendJson(res, 200, { ok: true, output: outputKey, action: 'disabled' });
+        break;
+      }
+
+      const { body, error } = await readJsonBody(req);
+      if (error) {
+        sendError(res, error.code, error.message);
+        break;
+      }
+      const invalid = validateSchema(OUTPUT_CONFIG_SCHEMA, body, 'body');
+      if (invalid) {
+        sendError(res, invalid.code, invalid.message, { path: invalid.path });
+        break;
+      }
+      const invalidSource = body.enabled === false ? null : checkOutputSource(outputKey, body);
+      if (invalidSource) {
+        const path = `body.${invalidSource.path}`;
+        sendError(res, IPC_ERROR_CODES.INVALID_PAYLOAD, `${path}: ${invalidSource.message}`, { path });
+        break;
+      }
+
+      if (body.enabled === false) {
+        const wasEnabled = await disableOutput(outputKey);
+        sendJson(res, 200, { ok: true, output: outputKey, action: wasEnabled ? 'disabled' : 'unchanged' });
+        break;
+      }
+
+      const wasEnabled = isOutputEnabled(outputKey);
+      const ok = wasEnabled ? await updateOutputConfig(outputKey, body) : await enableOutput(outputKey, body);
+      if (!ok) {
+        sendError(res, IPC_ERROR_CODES.COMMAND_FAILED, `failed to ${wasEnabled ? 'update' : 'enable'} output: ${outputKey}`);
+        break;
+      }
+      sendJson(res, 200, { ok: true, output: outputKey, action: wasEnabled ? 'updated' : 'enabled' });
+      break;
+    }
+
+    default:
+      sendError(res, IPC_ERROR_CODES.UNKNOWN_COMMAND, `not found: ${req.url}`);
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * HTTP Routes
+ *
+ * Request parsing for the HTTP API: the route table, where a request
+ * carries its auth token, and the status sent with each IPC error code.
+ * Kept apart from httpApi.js so it loads without Electron.
+ */
+
+import { IPC_ERROR_CODES } from './ipcProtocol.js';
+
+const HTTP_ERROR_STATUS = {
+  [IPC_ERROR_CODES.INVALID_JSON]: 400,
+  [IPC_ERROR_CODES.INVALID_MESSAGE]: 400,
+  [IPC_ERROR_CODES.INVALID_PAYLOAD]: 400,
+  [IPC_ERROR_CODES.UNAUTHORIZED]: 401,
+  [IPC_ERROR_CODES.UNKNOWN_COMMAND]: 404,
+  [IPC_ERROR_CODES.UNKNOWN_OUTPUT]: 404,
+  [IPC_ERROR_CODES.OUTPUT_NOT_ENABLED]: 404,
+  [IPC_ERROR_CODES.MESSAGE_TOO_LARGE]: 413,
+  [IPC_ERROR_CODES.COMMAND_FAILED]: 500,
+};
+
+/** HTTP status for an error reply with the given IPC_ERROR_CODES value. */
+export function httpStatusForError(code) {
+  return HTTP_ERROR_STATUS[code] || 500;
+}
+
+/**
+ * Token sent with an HTTP request, from `Authorization: Bearer …` or
+ * `X-Auth-Token`.
+ *
+ * @param {Object<string, string|string[]|undefined>} headers  Lower-cased request headers
+ * @returns {string|undefined}
+ */
+export function readHttpAuthToken(headers) {
+  const authorization = String(headers.authorization || '');
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  if (bearer) return bearer[1].trim();
+  const header = headers['x-auth-token'];
+  return Array.isArray(header) ? header[0] : header;
+}
+
+/**
+ * Match an HTTP API request to a route.
+ *
+ * @param {string} method
+ * @param {string} url  Request URL (path and optional query)
+ * @returns {{ route: 'health'|'stats'|'metrics'|'outputs'|'output', outputKey?: string }|{ error: string }}
+ *   `error` is 'not_found' or 'method_not_allowed'
+ */
+export function matchHttpRoute(method, url) {
+  const pathname = new URL(url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+  const fixed = { '/health': 'health', '/stats': 'stats', '/metrics': 'metrics', '/outputs': 'outputs' }[pathname];
+  if (fixed) {
+    return method === 'GET' ? { route: fixed } : { error: 'method_not_allowed' };
+  }
+
+  const match = /^\/outputs\/([^/]+)$/.exec(pathname);
+  if (!match) return { error: 'not_found' };
+  if (method !== 'PUT' && method !== 'DELETE') return { error: 'method_not_allowed' };
+
+  let outputKey;
+  try {
+    outputKey = decodeURIComponent(match[1]);
+  } catch {
+    return { error: 'not_found' };
+  }
+  return { route: 'output', outputKey };
+}
@@ -7,43 +7,88 @@
  *
  * Protocol: newline-delimited JSON.  Each message is a single JSON object
  * terminated by '\n'.  The companion replies with one or more JSON lines.
+ *
+ * An optional WebSocket listener carries the same messages for browser and
+ * control-surface clients: one JSON object per text message.
  */
 
 import net from 'net';
 import { app } from 'electron';
+import { WebSocketServer } from 'ws';
 import {
+  IPC_ERROR_CODES,
   IPC_PROTOCOL_VERSION,
   MAX_IPC_MESSAGE_BYTES,
   authTokensMatch,
+  filterStatsPayload,
   isValidIpcMessage,
+  normalizeStatsSubscription,
+  validateIpcCommand,
 } from './ipcProtocol.js';
 import {
+  applyOutputConfigs,
+  checkOutputSource,
   enableOutput,
   disableOutput,
   updateOutputConfig,
   getOutputStats,
   isOutputEnabled,
-  destroyOutputManager,
+  getEnabledOutputKeys,
+  setOutputMetadata,
+  setOutputOverlays,
+  onOutputEvent,
 } from './outputManager.js';
-import { destroyNdiBackend } from './ndiSender.js';
+import { buildLyricMetadataXml } from './ndiMetadata.js';
+import { createLogger, getLogLevel, setLogLevel } from './logger.js';
+import {
+  listenOwnerOnly,
+  removeSocketFile,
+  removeStaleSocket,
+  restrictSocketPermissions,
+} from './ipcSocket.js';
+
+const log = createLogger('IPC');
+
+const IDLE_TIMEOUT_MS = 60_000;
 
 let server = null;
+let webSocketServer = null;
 let requiredAuthToken = '';
+let listeningSocketPath = '';
+let unsubscribeOutputEvents = null;
+let shutdownCompanion = null;
 const clients = new Set();
+/** Sockets that have sent at least one authorized message; only these receive events. */
+const authorizedClients = new Set();
+/** Per-socket `subscribe_stats` state: { intervalMs, outputs, fields, timer }. */
+const statsSubscriptions = new Map();
 
-export function startIpcServer(host, port, options = {}) {
+/**
+ * Start the IPC server on TCP `host:port`, or on `options.socketPath` (a Unix
+ * domain socket or Windows named pipe) when given.  The `shutdown` command
+ * runs `options.onShutdown`, the companion's own shutdown sequence.
+ *
+ * @returns {Promise<void>} resolves once a stale socket file has been cleared
+ */
+export async function startIpcServer(host, port, options = {}) {
   if (server) throw new Error('IPC server is already running');
+  const socketPath = String(options.socketPath || '');
+  if (socketPath && await removeStaleSocket(socketPath)) {
+    log.info(`Removed stale socket ${socketPath}`);
+  }
+
   requiredAuthToken = String(options.authToken || '');
+  shutdownCompanion = options.onShutdown || null;
   server = net.createServer((socket) => {
     let buffer = '';
     clients.add(socket);
     socket.setNoDelay(true);
-    socket.setTimeout(60_000, () => socket.destroy());
+    socket.setTimeout(IDLE_TIMEOUT_MS, () => socket.destroy());
 
     socket.on('data', (chunk) => {
       buffer += chunk.toString('utf8');
       if (Buffer.byteLength(buffer, 'utf8') > MAX_IPC_MESSAGE_BYTES) {
-        reply(socket, { type: 'error', payload: { message: 'message too large' } });
+        replyError(socket, null, IPC_ERROR_CODES.MESSAGE_TOO_LARGE, 'message too large');
         socket.end();
         return;
       }
@@ -54,15 +99,7 @@ export function startIpcServer(host, port, options = {}) {
         buffer = buffer.slice(idx + 1);
 
         if (line) {
-          handleMessage(line, socket).catch((error) => {
-            let seq = null;
-            try { seq = JSON.parse(line)?.seq ?? null; } catch { /* ignore */ }
-            reply(socket, {
-              type: 'error',
-              seq,
-              payload: { message: error?.message || 'Command failed' },
-            });
-          });
+          dispatchMessage(line, socket);
         }
 
         idx = buffer.indexOf('\n');
@@ -70,15 +107,102 @@ export function startIpcServer(host, port, options = {}) {
     });
 
     socket.on('error', () => { /* client disconnected */ });
-    socket.on('close', () => clients.delete(socket));
+    socket.on('close', () => {
+      clients.delete(socket);
+      authorizedClients.delete(socket);
+      stopStatsSubscription(socket);
+    });
   });
 
-  server.listen(port, host, () => {
-    console.log(`[IPC] Listening on ${host}:${port}`);
-  });
+  unsubscribeOutputEvents = onOutputEvent(broadcastEvent);
+
+  if (socketPath) {
+    listeningSocketPath = socketPath;
+    listenOwnerOnly(socketPath, () => {
+      server.listen(socketPath, () => {
+        restrictSocketPermissions(socketPath);
+        log.info(`Listening on ${socketPath}`);
+      });
+    });
+  } else {
+    server.listen(port, host, () => {
+      log.info(`Listening on ${host}:${port}`);
+    });
+  }
 
   server.on('error', (err) => {
-    console.error('[IPC] Server error:', err.message);
+    log.error('Server error', { error: err });
+  });
+
+  if (options.webSocket?.port) {
+    startWebSocketListener(options.webSocket.host || host, options.webSocket.port);
+  }
+}
+
+/**
+ * Accept the same protocol over WebSocket.  Each connection is wrapped in a
+ * socket-like object so replies, events and subscriptions share the TCP path.
+ */
+function startWebSocketListener(host, port) {
+  if (!requiredAuthToken) {
+    log.warn('WebSocket listener has no auth token – any local web page can control the companion');
+  }
+
+  webSocketServer = new WebSocketServer({ host, port, maxPayload: MAX_IPC_MESSAGE_BYTES });
+
+  webSocketServer.on('connection', (ws) => {
+    let idleTimer = null;
+    const connection = {
+      // Like a TCP socket's timeout, traffic either way keeps the connection,
+      // so clients that only receive stats or events are not dropped.
+      write(line) {
+        if (ws.readyState !== ws.OPEN) return;
+        ws.send(line.replace(/\n$/, ''));
+        resetIdleTimer();
+      },
+      end() {
+        ws.close();
+      },
+      destroy() {
+        ws.terminate();
+      },
+    };
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => ws.terminate(), IDLE_TIMEOUT_MS);
+    };
+
+    clients.add(connection);
+    resetIdleTimer();
+
+    ws.on('message', (data, isBinary) => {
+      resetIdleTimer();
+      if (isBinary) {
+        replyError(connection, null, IPC_ERROR_CODES.INVALID_MESSAGE, 'binary messages are not supported');
+        return;
+      }
+      const message = data.toString('utf8').trim();
+      if (message) {
+        dispatchMessage(message, connection);
+      }
+    });
+
+    // ws closes oversized messages itself (maxPayload) with code 1009.
+    ws.on('error', () => { /* client disconnected */ });
+    ws.on('close', () => {
+      clearTimeout(idleTimer);
+      clients.delete(connection);
+      authorizedClients.delete(connection);
+      stopStatsSubscription(connection);
+    });
+  });
+
+  webSocketServer.on('listening', () => {
+    log.info(`WebSocket listening on ${host}:${port}`);
+  });
+
+  webSocketServer.on('error', (err) => {
+    log.error('WebSocket server error', { error: err });
   });
 }
 
@@ -87,11 +211,32 @@ export function stopIpcServer() {
     try { socket.destroy(); } catch { /* ignore */ }
   }
   clients.clear();
+  authorizedClients.clear();
+  for (const socket of [...statsSubscriptions.keys()]) {
+    stopStatsSubscription(socket);
+  }
+  unsubscribeOutputEvents?.();
+  unsubscribeOutputEvents = null;
   if (server) {
     try { server.close(); } catch { /* ignore */ }
     server = null;
   }
+  removeSocketFile(listeningSocketPath);
+  listeningSocketPath = '';
+  if (webSocketServer) {
+    try { webSocketServer.close(); } catch { /* ignore */ }
+    webSocketServer = null;
+  }
   requiredAuthToken = '';
+  shutdownCompanion = null;
+}
+
+function dispatchMessage(raw, socket) {
+  handleMessage(raw, socket).catch((error) => {
+    let seq = null;
+    try { seq = JSON.parse(raw)?.seq ?? null; } catch { /* ignore */ }
+    replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, error?.message || 'Command failed');
+  });
 }
 
 function reply(socket, obj) {
@@ -100,31 +245,104 @@ function reply(socket, obj) {
   } catch { /* socket may be gone */ }
 }
 
+/**
+ * Send an `error` reply.  `code` is one of IPC_ERROR_CODES; `details` adds
+ * fields such as `path` (the offending field of a schema failure).
+ */
+function replyError(socket, seq, code, message, details = {}) {
+  reply(socket, {
+    type: 'error',
+    seq: seq ?? null,
+    payload: { code, message, ...details },
+  });
+}
+
+/**
+ * Push an unsolicited `event` line (e.g. tally_changed) to every authorized client.
+ */
+function broadcastEvent(payload) {
+  for (const socket of authorizedClients) {
+    reply(socket, { type: 'event', payload });
+  }
+}
+
+function pushSubscribedStats(socket) {
+  const subscription = statsSubscriptions.get(socket);
+  if (!subscription) return;
+  reply(socket, {
+    type: 'stats',
+    payload: filterStatsPayload(getOutputStats(), subscription),
+    subscription: true,
+  });
+}
+
+function startStatsSubscription(socket, subscription) {
+  stopStatsSubscription(socket);
+  statsSubscriptions.set(socket, {
+    ...subscription,
+    timer: setInterval(() => pushSubscribedStats(socket), subscription.intervalMs),
+  });
+}
+
+function stopStatsSubscription(socket) {
+  const subscription = statsSubscriptions.get(socket);
+  if (!subscription) return false;
+  clearInterval(subscription.timer);
+  statsSubscriptions.delete(socket);
+  return true;
+}
+
+/**
+ * Reject output configs whose `route` or `url` cannot be loaded, e.g. a URL
+ * on an origin outside the allowlist.  Returns a validateIpcCommand-style error.
+ */
+function findInvalidOutputSource({ type, output, payload }) {
+  const configs = type === 'set_outputs'
+    ? Object.entries(payload.outputs).filter(([, config]) => config?.enabled).map(([key, config]) => [key, config, `payload.outputs.${key}`])
+    : type === 'enable_output' || type === 'update_output'
+      ? [[output || payload.outputKey, payload, 'payload']]
+      : [];
+  for (const [key, config, path] of configs) {
+    const invalid = checkOutputSource(key, config);
+    if (invalid) {
+      return {
+        code: IPC_ERROR_CODES.INVALID_PAYLOAD,
+        path: `${path}.${invalid.path}`,
+        message: `${path}.${invalid.path}: ${invalid.message}`,
+      };
+    }
+  }
+  return null;
+}
+
 async function handleMessage(raw, socket) {
   let msg;
   try {
     msg = JSON.parse(raw);
   } catch {
-    reply(socket, { type: 'error', payload: { message: 'invalid JSON' } });
+    replyError(socket, null, IPC_ERROR_CODES.INVALID_JSON, 'invalid JSON');
     return;
   }
 
   if (!isValidIpcMessage(msg)) {
-    reply(socket, { type: 'error', payload: { message: 'invalid message' } });
+    replyError(socket, null, IPC_ERROR_CODES.INVALID_MESSAGE, 'invalid message');
     return;
   }
 
   const { type, payload, seq, output } = msg;
 
   if (!authTokensMatch(msg.token, requiredAuthToken)) {
-    reply(socket, {
-      type: 'error',
-      seq,
-      payload: { message: 'unauthorized' },
-    });
+    replyError(socket, seq, IPC_ERROR_CODES.UNAUTHORIZED, 'unauthorized');
     socket.end();
     return;
   }
+  authorizedClients.add(socket);
+
+  const invalid = validateIpcCommand(msg) || findInvalidOutputSource(msg);
+  if (invalid) {
+    replyError(socket, seq, invalid.code, invalid.message, { path: invalid.path });
+    return;
+  }
 
   switch (type) {
     case 'hello': {
@@ -136,7 +354,25 @@ async function handleMessage(raw, socket) {
           version: app.getVersion(),
           protocolVersion: IPC_PROTOCOL_VERSION,
           engine: 'electron-offscreen',
-          capabilities: ['custom-outputs', 'per-output-stats', 'sha256-artifacts'],
+          capabilities: [
+            'custom-outputs',
+            'per-output-stats',
+            'sha256-artifacts',
+            'ndi-metadata',
+            'output-events',
+            'stats-subscription',
+            'error-codes',
+            'atomic-set-outputs',
+            'log-level',
+            'slate',
+            'test-patterns',
+            'background',
+            'overlays',
+            'multiview',
+            'scaling',
+            'fractional-framerates',
+            ...(webSocketServer ? ['websocket'] : []),
+          ],
         },
       });
       break;
@@ -144,25 +380,35 @@ async function handleMessage(raw, socket) {
 
     case 'set_outputs': {
       // payload.outputs = { output1: {...}, output2: {...}, stage: {...} }
+      // payload.atomic = true applies every output or none of them
       const outputs = payload?.outputs || {};
-      const failedOutputs = [];
+      if (payload.atomic) {
+        const { ok, results } = await applyOutputConfigs(outputs);
+        if (ok) {
+          reply(socket, { type: 'ack', seq, payload: { ok: true, atomic: true, results } });
+        } else {
+          const failedOutputs = Object.keys(results).filter((key) => results[key].action === 'failed');
+          replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, `failed to apply outputs: ${failedOutputs.join(', ')}`, { atomic: true, results });
+        }
+        break;
+      }
+
+      const results = {};
       for (const [key, config] of Object.entries(outputs)) {
         if (config?.enabled) {
-          if (isOutputEnabled(key)) {
-            const updated = await updateOutputConfig(key, config);
-            if (!updated) failedOutputs.push(key);
-          } else {
-            const enabled = await enableOutput(key, config);
-            if (!enabled) failedOutputs.push(key);
-          }
+          const wasEnabled = isOutputEnabled(key);
+          const ok = wasEnabled ? await updateOutputConfig(key, config) : await enableOutput(key, config);
+          results[key] = { ok, action: ok ? (wasEnabled ? 'updated' : 'enabled') : 'failed' };
         } else {
           await disableOutput(key);
+          results[key] = { ok: true, action: 'disabled' };
         }
       }
+      const failedOutputs = Object.keys(results).filter((key) => !results[key].ok);
       if (failedOutputs.length > 0) {
-        reply(socket, { type: 'error', seq, payload: { message: `failed to enable outputs: ${failedOutputs.join(', ')}` } });
+        replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, `failed to enable outputs: ${failedOutputs.join(', ')}`, { results });
       } else {
-        reply(socket, { type: 'ack', seq, payload: { ok: true } });
+        reply(socket, { type: 'ack', seq, payload: { ok: true, results } });
       }
       break;
     }
@@ -173,22 +419,69 @@ async function handleMessage(raw, socket) {
       if (enabled) {
         reply(socket, { type: 'ack', seq, payload: { ok: true } });
       } else {
-        reply(socket, { type: 'error', seq, payload: { message: `failed to enable output: ${key}` } });
+        replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, `failed to enable output: ${key}`);
       }
       break;
     }
 
     case 'disable_output': {
       const key = output || payload?.outputKey;
-      await disableOutput(key);
-      reply(socket, { type: 'ack', seq, payload: { ok: true } });
+      if (!isOutputEnabled(key)) {
+        replyError(socket, seq, IPC_ERROR_CODES.OUTPUT_NOT_ENABLED, `output not enabled: ${key}`);
+        break;
+      }
+      if (await disableOutput(key)) {
+        reply(socket, { type: 'ack', seq, payload: { ok: true } });
+      } else {
+        replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, `failed to disable output: ${key}`);
+      }
       break;
     }
 
     case 'update_output': {
       const key = output || payload?.outputKey;
-      await updateOutputConfig(key, payload);
-      reply(socket, { type: 'ack', seq, payload: { ok: true } });
+      if (!isOutputEnabled(key)) {
+        replyError(socket, seq, IPC_ERROR_CODES.OUTPUT_NOT_ENABLED, `output not enabled: ${key}`);
+        break;
+      }
+      if (await updateOutputConfig(key, payload)) {
+        reply(socket, { type: 'ack', seq, payload: { ok: true } });
+      } else {
+        replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, `failed to update output: ${key}`);
+      }
+      break;
+    }
+
+    case 'set_output_metadata': {
+      // payload = { songTitle, section, currentLine, nextLine }; no output key means every enabled output
+      const key = output || payload?.outputKey;
+      const xml = buildLyricMetadataXml(payload || {});
+      if (key && !isOutputEnabled(key)) {
+        replyError(socket, seq, IPC_ERROR_CODES.OUTPUT_NOT_ENABLED, `output not enabled: ${key}`);
+        break;
+      }
+      const keys = key ? [key] : getEnabledOutputKeys();
+      const updated = keys.filter((outputKey) => setOutputMetadata(outputKey, xml));
+      reply(socket, { type: 'ack', seq, payload: { ok: true, outputs: updated } });
+      break;
+    }
+
+    case 'set_overlays':
+    case 'clear_overlays': {
+      // payload = { safeAreas, timecode, frameCounter, label, watermark }; no output key means every enabled output
+      const key = output || payload?.outputKey;
+      if (key && !isOutputEnabled(key)) {
+        replyError(socket, seq, IPC_ERROR_CODES.OUTPUT_NOT_ENABLED, `output not enabled: ${key}`);
+        break;
+      }
+      const overlays = type === 'set_overlays' ? payload : {};
+      const keys = key ? [key] : getEnabledOutputKeys();
+      try {
+        const updated = keys.filter((outputKey) => setOutputOverlays(outputKey, overlays));
+        reply(socket, { type: 'ack', seq, payload: { ok: true, outputs: updated } });
+      } catch (err) {
+        replyError(socket, seq, IPC_ERROR_CODES.COMMAND_FAILED, err.message);
+      }
       break;
     }
 
@@ -198,25 +491,39 @@ async function handleMessage(raw, socket) {
       break;
     }
 
+    case 'subscribe_stats': {
+      // payload = { intervalMs?, outputs?: string[], fields?: string[] }; replaces any earlier subscription
+      const subscription = normalizeStatsSubscription(payload);
+      startStatsSubscription(socket, subscription);
+      reply(socket, { type: 'ack', seq, payload: { ok: true, ...subscription } });
+      pushSubscribedStats(socket);
+      break;
+    }
+
+    case 'unsubscribe_stats': {
+      const wasSubscribed = stopStatsSubscription(socket);
+      reply(socket, { type: 'ack', seq, payload: { ok: true, wasSubscribed } });
+      break;
+    }
+
+    case 'set_log_level': {
+      const previous = getLogLevel();
+      setLogLevel(payload.level);
+      log.info(`Log level set to ${payload.level}`);
+      reply(socket, { type: 'ack', seq, payload: { ok: true, level: payload.level, previous } });
+      break;
+    }
+
     case 'shutdown': {
       reply(socket, { type: 'ack', seq, payload: { ok: true } });
-      console.log('[IPC] Shutdown requested by main app');
-      setTimeout(() => {
-        stopIpcServer();
-        Promise.resolve(destroyOutputManager()).finally(() => {
-          destroyNdiBackend();
-          app.quit();
-        });
-      }, 200);
+      log.info('Shutdown requested by main app');
+      const onShutdown = shutdownCompanion;
+      setTimeout(() => onShutdown?.(), 200);
       break;
     }
 
     default: {
-      reply(socket, {
-        type: 'error',
-        seq,
-        payload: { message: `unknown command: ${type}` },
-      });
+      replyError(socket, seq, IPC_ERROR_CODES.UNKNOWN_COMMAND, `unknown command: ${type}`, { path: 'type' });
     }
   }
 }
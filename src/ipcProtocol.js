@@ -1,6 +1,14 @@
 import { timingSafeEqual } from 'node:crypto';
+import { LOG_LEVELS } from './logger.js';
+import { SLATE_STYLES } from './slate.js';
+import { BACKGROUND_PATTERN } from './background.js';
+import { WATERMARK_POSITIONS } from './overlays.js';
+import { parseTestPatternKey } from './testPatterns.js';
+import { MULTIVIEW_LAYOUT_PATTERN, isMultiviewKey } from './multiview.js';
+import { SCALE_MODES } from './frameScale.js';
+import { MAX_FRAMERATE, parseFramerate } from './framerate.js';
 
-export const IPC_PROTOCOL_VERSION = 2;
+export const IPC_PROTOCOL_VERSION = 3;
 export const MAX_IPC_MESSAGE_BYTES = 256 * 1024;
 
 export function isValidIpcMessage(message) {
@@ -14,6 +22,315 @@ export function isValidIpcMessage(message) {
   );
 }
 
+/** Machine-readable `payload.code` values carried by `error` replies. */
+export const IPC_ERROR_CODES = Object.freeze({
+  INVALID_JSON: 'E_INVALID_JSON',
+  INVALID_MESSAGE: 'E_INVALID_MESSAGE',
+  MESSAGE_TOO_LARGE: 'E_MESSAGE_TOO_LARGE',
+  UNAUTHORIZED: 'E_UNAUTHORIZED',
+  UNKNOWN_COMMAND: 'E_UNKNOWN_COMMAND',
+  INVALID_PAYLOAD: 'E_INVALID_PAYLOAD',
+  UNKNOWN_OUTPUT: 'E_UNKNOWN_OUTPUT',
+  OUTPUT_NOT_ENABLED: 'E_OUTPUT_NOT_ENABLED',
+  COMMAND_FAILED: 'E_COMMAND_FAILED',
+});
+
+export const OUTPUT_RESOLUTIONS = ['720p', '1080p', '4k', 'custom'];
+
+const OUTPUT_KEY_PATTERN = /^(output\d+|stage)$/;
+
+export function isKnownOutputKey(outputKey) {
+  return typeof outputKey === 'string'
+    && outputKey.length <= 64
+    && (OUTPUT_KEY_PATTERN.test(outputKey)
+      || parseTestPatternKey(outputKey) !== null
+      || isMultiviewKey(outputKey));
+}
+
+export const OUTPUT_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    outputKey: { type: 'string', maxLength: 64 },
+    enabled: { type: 'boolean' },
+    resolution: { enum: OUTPUT_RESOLUTIONS },
+    customWidth: { type: 'integer', minimum: 16, maximum: 7680 },
+    customHeight: { type: 'integer', minimum: 16, maximum: 4320 },
+    renderWidth: { type: 'integer', minimum: 16, maximum: 7680 },
+    renderHeight: { type: 'integer', minimum: 16, maximum: 4320 },
+    crop: {
+      type: 'object',
+      required: ['x', 'y', 'width', 'height'],
+      properties: {
+        x: { type: 'integer', minimum: 0, maximum: 7679 },
+        y: { type: 'integer', minimum: 0, maximum: 4319 },
+        width: { type: 'integer', minimum: 1, maximum: 7680 },
+        height: { type: 'integer', minimum: 1, maximum: 4320 },
+      },
+    },
+    scaleMode: { enum: SCALE_MODES },
+    framerate: { type: 'framerate' },
+    sourceName: { type: 'string', minLength: 1, maxLength: 128 },
+    alphaMode: { enum: ['embedded', 'fill-key'] },
+    pixelFormat: { enum: ['bgra', 'uyvy', 'uyva'] },
+    queueDepth: { type: 'integer', minimum: 1, maximum: 8 },
+    background: {
+      type: 'string',
+      pattern: BACKGROUND_PATTERN,
+      patternMessage: 'must be transparent, chroma-green, chroma-blue or a #rrggbb colour',
+    },
+    route: { type: 'string', minLength: 1, maxLength: 256 },
+    url: { type: 'string', minLength: 1, maxLength: 2048 },
+    query: { type: 'record', values: { type: 'string', maxLength: 512 } },
+    slate: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        style: { enum: SLATE_STYLES },
+        text: { type: 'string', maxLength: 256 },
+      },
+    },
+    multiview: {
+      type: 'object',
+      properties: {
+        sources: { type: 'array', maxItems: 16, items: { type: 'string', minLength: 1, maxLength: 64 } },
+        layout: {
+          type: 'string',
+          pattern: MULTIVIEW_LAYOUT_PATTERN,
+          patternMessage: 'must be auto, custom or <columns>x<rows> up to 4x4',
+        },
+        cells: {
+          type: 'array',
+          maxItems: 16,
+          items: {
+            type: 'object',
+            required: ['x', 'y', 'width', 'height'],
+            properties: {
+              x: { type: 'number', minimum: 0, maximum: 1 },
+              y: { type: 'number', minimum: 0, maximum: 1 },
+              width: { type: 'number', minimum: 0.01, maximum: 1 },
+              height: { type: 'number', minimum: 0.01, maximum: 1 },
+            },
+          },
+        },
+        labels: { type: 'boolean' },
+        tally: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+const lyricTextSchema = { type: 'string', maxLength: 4096 };
+
+/**
+ * Payload schema per command.  `output` says whether the command targets an
+ * output via `message.output` or `payload.outputKey`.
+ */
+export const IPC_COMMAND_SCHEMAS = {
+  hello: { payload: { type: 'object' } },
+  set_outputs: {
+    payload: {
+      type: 'object',
+      required: ['outputs'],
+      properties: {
+        outputs: { type: 'record', keys: 'outputKey', values: OUTPUT_CONFIG_SCHEMA },
+        atomic: { type: 'boolean' },
+      },
+    },
+  },
+  enable_output: { output: 'required', payload: OUTPUT_CONFIG_SCHEMA },
+  disable_output: { output: 'required', payload: { type: 'object' } },
+  update_output: { output: 'required', payload: OUTPUT_CONFIG_SCHEMA },
+  set_output_metadata: {
+    output: 'optional',
+    payload: {
+      type: 'object',
+      properties: {
+        outputKey: { type: 'string', maxLength: 64 },
+        songTitle: lyricTextSchema,
+        section: lyricTextSchema,
+        currentLine: lyricTextSchema,
+        nextLine: lyricTextSchema,
+      },
+    },
+  },
+  set_overlays: {
+    output: 'optional',
+    payload: {
+      type: 'object',
+      properties: {
+        outputKey: { type: 'string', maxLength: 64 },
+        safeAreas: { type: 'boolean' },
+        timecode: { type: 'boolean' },
+        frameCounter: { type: 'boolean' },
+        label: { type: 'boolean' },
+        watermark: {
+          type: 'object',
+          required: ['path'],
+          properties: {
+            path: { type: 'string', minLength: 1, maxLength: 4096 },
+            position: { enum: WATERMARK_POSITIONS },
+            opacity: { type: 'number', minimum: 0, maximum: 1 },
+            scale: { type: 'number', minimum: 0.01, maximum: 1 },
+          },
+        },
+      },
+    },
+  },
+  clear_overlays: { output: 'optional', payload: { type: 'object' } },
+  request_stats: { payload: { type: 'object' } },
+  subscribe_stats: {
+    payload: {
+      type: 'object',
+      properties: {
+        intervalMs: { type: 'integer', minimum: 100, maximum: 60_000 },
+        outputs: { type: 'array', maxItems: 64, items: { type: 'string', maxLength: 64 } },
+        fields: { type: 'array', maxItems: 128, items: { type: 'string', maxLength: 64 } },
+      },
+    },
+  },
+  unsubscribe_stats: { payload: { type: 'object' } },
+  set_log_level: {
+    payload: {
+      type: 'object',
+      required: ['level'],
+      properties: {
+        level: { enum: LOG_LEVELS },
+      },
+    },
+  },
+  shutdown: { payload: { type: 'object' } },
+};
+
+function schemaError(code, path, message) {
+  return { code, path, message: `${path}: ${message}` };
+}
+
+/**
+ * Check a value against a schema node.
+ *
+ * @returns {{ code: string, path: string, message: string }|null}
+ */
+export function validateSchema(schema, value, path) {
+  if (schema.enum) {
+    return schema.enum.includes(value)
+      ? null
+      : schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  switch (schema.type) {
+    case 'object':
+    case 'record': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, 'must be an object');
+      }
+      for (const name of schema.required || []) {
+        if (value[name] === undefined) {
+          return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, `${path}.${name}`, 'is required');
+        }
+      }
+      const entries = schema.type === 'record'
+        ? Object.entries(value).map(([name, entry]) => [name, entry, schema.values])
+        : Object.entries(schema.properties || {}).map(([name, child]) => [name, value[name], child]);
+      for (const [name, entry, child] of entries) {
+        if (schema.keys === 'outputKey' && !isKnownOutputKey(name)) {
+          return schemaError(IPC_ERROR_CODES.UNKNOWN_OUTPUT, `${path}.${name}`, 'unknown output key');
+        }
+        if (entry === undefined) continue;
+        const error = validateSchema(child, entry, `${path}.${name}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, 'must be an array');
+      }
+      if (schema.maxItems != null && value.length > schema.maxItems) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, `must have at most ${schema.maxItems} items`);
+      }
+      for (let i = 0; i < value.length; i++) {
+        const error = validateSchema(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'string': {
+      if (typeof value !== 'string') {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, 'must be a string');
+      }
+      if (schema.minLength != null && value.length < schema.minLength) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength != null && value.length > schema.maxLength) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, `must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, schema.patternMessage || `must match ${schema.pattern}`);
+      }
+      return null;
+    }
+    case 'integer':
+    case 'number': {
+      const isNumber = schema.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (!isNumber) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if ((schema.minimum != null && value < schema.minimum) || (schema.maximum != null && value > schema.maximum)) {
+        return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, `must be between ${schema.minimum} and ${schema.maximum}`);
+      }
+      return null;
+    }
+    case 'framerate':
+      return parseFramerate(value)
+        ? null
+        : schemaError(
+          IPC_ERROR_CODES.INVALID_PAYLOAD,
+          path,
+          `must be a whole rate from 1 to ${MAX_FRAMERATE} or a broadcast rate such as 59.94 or "60000/1001"`
+        );
+    case 'boolean':
+      return typeof value === 'boolean'
+        ? null
+        : schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, 'must be a boolean');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a parsed message against its command schema.
+ *
+ * @returns {{ code: string, path: string|null, message: string }|null}
+ */
+export function validateIpcCommand(message) {
+  const command = IPC_COMMAND_SCHEMAS[message.type];
+  if (!command) {
+    return { code: IPC_ERROR_CODES.UNKNOWN_COMMAND, path: 'type', message: `unknown command: ${message.type}` };
+  }
+
+  if (message.payload !== undefined && message.payload !== null) {
+    const error = validateSchema(command.payload, message.payload, 'payload');
+    if (error) return error;
+  } else if (command.payload.required?.length) {
+    return schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, 'payload', 'is required');
+  }
+
+  if (command.output) {
+    const outputKey = message.output ?? message.payload?.outputKey;
+    const path = message.output != null ? 'output' : 'payload.outputKey';
+    if (outputKey == null || outputKey === '') {
+      return command.output === 'required'
+        ? schemaError(IPC_ERROR_CODES.INVALID_PAYLOAD, path, 'is required')
+        : null;
+    }
+    if (!isKnownOutputKey(outputKey)) {
+      return schemaError(IPC_ERROR_CODES.UNKNOWN_OUTPUT, path, `unknown output key: ${outputKey}`);
+    }
+  }
+
+  return null;
+}
+
 export function authTokensMatch(receivedToken, requiredToken) {
   if (!requiredToken) return true;
   if (typeof receivedToken !== 'string') return false;
@@ -22,3 +339,42 @@ export function authTokensMatch(receivedToken, requiredToken) {
   const required = Buffer.from(requiredToken, 'utf8');
   return received.length === required.length && timingSafeEqual(received, required);
 }
+
+export const STATS_SUBSCRIPTION_DEFAULT_INTERVAL_MS = 1000;
+export const STATS_SUBSCRIPTION_MIN_INTERVAL_MS = 100;
+export const STATS_SUBSCRIPTION_MAX_INTERVAL_MS = 60_000;
+
+/**
+ * Normalize a `subscribe_stats` payload into an interval and optional filters.
+ */
+export function normalizeStatsSubscription(payload = {}) {
+  const requested = Number(payload?.intervalMs);
+  const intervalMs = Number.isFinite(requested)
+    ? Math.min(Math.max(Math.round(requested), STATS_SUBSCRIPTION_MIN_INTERVAL_MS), STATS_SUBSCRIPTION_MAX_INTERVAL_MS)
+    : STATS_SUBSCRIPTION_DEFAULT_INTERVAL_MS;
+  const toList = (value) => (Array.isArray(value) && value.length > 0 ? value.map(String) : null);
+
+  return {
+    intervalMs,
+    outputs: toList(payload?.outputs),
+    fields: toList(payload?.fields),
+  };
+}
+
+/**
+ * Reduce a stats payload to the requested outputs and fields.  Field names
+ * apply both to the aggregate values and to each per-output entry.
+ */
+export function filterStatsPayload(stats, { outputs = null, fields = null } = {}) {
+  const pick = (source) => (fields
+    ? Object.fromEntries(fields.filter((field) => field in source).map((field) => [field, source[field]]))
+    : { ...source });
+
+  const perOutput = Object.fromEntries(
+    Object.entries(stats.perOutput || {})
+      .filter(([key]) => !outputs || outputs.includes(key))
+      .map(([key, output]) => [key, pick(output)])
+  );
+
+  return { ...pick(stats), perOutput, outputs: perOutput };
+}
@@ -0,0 +1,92 @@
+/**
+ * Helpers for serving IPC on a Unix domain socket or Windows named pipe.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import { createLogger } from './logger.js';
+
+const log = createLogger('IPC');
+
+const STALE_PROBE_TIMEOUT_MS = 1000;
+
+export function isNamedPipePath(socketPath) {
+  return /^\\\\[.?]\\pipe\\/i.test(String(socketPath || ''));
+}
+
+/**
+ * Remove a socket file left behind by a previous run.  A socket that still
+ * accepts connections belongs to a live process and is left alone.
+ *
+ * @returns {Promise<boolean>} true when a stale socket was removed
+ */
+export async function removeStaleSocket(socketPath) {
+  if (isNamedPipePath(socketPath)) return false;
+
+  let stat;
+  try {
+    stat = fs.lstatSync(socketPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+  if (!stat.isSocket()) {
+    throw new Error(`IPC socket path exists and is not a socket: ${socketPath}`);
+  }
+
+  const inUse = await new Promise((resolve) => {
+    const probe = net.createConnection(socketPath);
+    const done = (result) => {
+      probe.destroy();
+      resolve(result);
+    };
+    probe.setTimeout(STALE_PROBE_TIMEOUT_MS, () => done(true));
+    probe.once('connect', () => done(true));
+    probe.once('error', (error) => done(error.code !== 'ECONNREFUSED' && error.code !== 'ENOENT'));
+  });
+  if (inUse) {
+    throw new Error(`IPC socket is already in use: ${socketPath}`);
+  }
+
+  fs.rmSync(socketPath, { force: true });
+  return true;
+}
+
+/**
+ * Delete our socket file on shutdown.  Named pipes vanish with the server.
+ */
+export function removeSocketFile(socketPath) {
+  if (!socketPath || isNamedPipePath(socketPath)) return;
+  try {
+    if (fs.lstatSync(socketPath).isSocket()) {
+      fs.rmSync(socketPath, { force: true });
+    }
+  } catch { /* already gone */ }
+}
+
+/**
+ * Run `listen` with a umask that leaves the new socket file owner-only, then
+ * set the mode explicitly in case the platform ignores the umask for sockets.
+ */
+export function listenOwnerOnly(socketPath, listen) {
+  if (isNamedPipePath(socketPath)) {
+    listen();
+    return;
+  }
+
+  const previousUmask = process.umask(0o177);
+  try {
+    listen();
+  } finally {
+    process.umask(previousUmask);
+  }
+}
+
+export function restrictSocketPermissions(socketPath) {
+  if (isNamedPipePath(socketPath)) return;
+  try {
+    fs.chmodSync(socketPath, 0o600);
+  } catch (error) {
+    log.warn(`Could not restrict permissions on ${socketPath}`, { error });
+  }
+}
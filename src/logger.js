@@ -0,0 +1,195 @@
+/**
+ * Logger
+ *
+ * Structured logging for the companion.  Each entry is written as one JSON
+ * line to a size-rotated file in the companion data directory and mirrored
+ * to the console in the familiar `[Module] message` form:
+ *
+ *   {"ts":"…","level":"warn","module":"OutputManager","output":"output1","msg":"…"}
+ *
+ * In a worker thread, entries are posted to the parent as
+ * `{ type: 'log', entry }` messages for it to pass to writeLogEntry().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isMainThread, parentPort } from 'node:worker_threads';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+export const LOG_FILE_NAME = 'companion.log';
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const MAX_PENDING_ENTRIES = 500;
+
+let level = 'info';
+let logDir = '';
+let maxBytes = DEFAULT_MAX_BYTES;
+let maxFiles = DEFAULT_MAX_FILES;
+let mirrorToConsole = true;
+let fd = null;
+let fileSize = 0;
+/** Entries logged before configureLogger() picked a directory. */
+let pending = [];
+
+export function isLogLevel(value) {
+  return LOG_LEVELS.includes(value);
+}
+
+export function getLogLevel() {
+  return level;
+}
+
+/**
+ * Change the minimum level written to the file and console.
+ *
+ * @returns {boolean} false when `next` is not a known level
+ */
+export function setLogLevel(next) {
+  if (!isLogLevel(next)) return false;
+  level = next;
+  return true;
+}
+
+/**
+ * Start writing to `<dir>/companion.log`.  Entries logged earlier in startup
+ * are written first.
+ *
+ * @param {object} options
+ * @param {string} options.dir  Log directory (created if missing); empty disables the file
+ * @param {string} [options.level]
+ * @param {number} [options.maxBytes=5242880]  Rotate once the file would grow past this size
+ * @param {number} [options.maxFiles=5]  Files kept, including the active one
+ * @param {boolean} [options.console=true]  Mirror entries to the console
+ */
+export function configureLogger(options) {
+  closeLogger();
+  if (options.level) setLogLevel(options.level);
+  logDir = options.dir || '';
+  maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  maxFiles = Math.max(1, options.maxFiles || DEFAULT_MAX_FILES);
+  mirrorToConsole = options.console !== false;
+
+  if (logDir) {
+    try {
+      fs.mkdirSync(logDir, { recursive: true });
+      openLogFile();
+    } catch (err) {
+      logDir = '';
+      console.error(`[Logger] Could not open log file in ${options.dir}:`, err.message);
+    }
+  }
+
+  const earlier = pending || [];
+  pending = null;
+  for (const entry of earlier) writeToFile(entry);
+}
+
+export function closeLogger() {
+  if (fd !== null) {
+    try { fs.closeSync(fd); } catch { /* ignore */ }
+    fd = null;
+  }
+}
+
+function openLogFile() {
+  const filePath = path.join(logDir, LOG_FILE_NAME);
+  fd = fs.openSync(filePath, 'a');
+  fileSize = fs.fstatSync(fd).size;
+}
+
+/** companion.log → companion.1.log → … → companion.<maxFiles-1>.log (dropped after). */
+function rotate() {
+  closeLogger();
+  const base = path.join(logDir, path.parse(LOG_FILE_NAME).name);
+  const rotated = (index) => `${base}.${index}.log`;
+  try {
+    fs.rmSync(rotated(maxFiles - 1), { force: true });
+    for (let index = maxFiles - 2; index >= 1; index--) {
+      if (fs.existsSync(rotated(index))) fs.renameSync(rotated(index), rotated(index + 1));
+    }
+    if (maxFiles > 1) {
+      fs.renameSync(path.join(logDir, LOG_FILE_NAME), rotated(1));
+    } else {
+      fs.rmSync(path.join(logDir, LOG_FILE_NAME), { force: true });
+    }
+  } catch (err) {
+    console.error('[Logger] Log rotation failed:', err.message);
+  }
+  openLogFile();
+}
+
+function writeToFile(entry) {
+  if (pending) {
+    if (pending.length < MAX_PENDING_ENTRIES) pending.push(entry);
+    return;
+  }
+  if (fd === null) return;
+
+  const line = `${JSON.stringify(entry)}\n`;
+  const bytes = Buffer.byteLength(line);
+  try {
+    if (fileSize > 0 && fileSize + bytes > maxBytes) rotate();
+    fs.writeSync(fd, line);
+    fileSize += bytes;
+  } catch (err) {
+    closeLogger();
+    console.error('[Logger] Could not write log file:', err.message);
+  }
+}
+
+function writeToConsole(entry) {
+  const { ts: _ts, level: entryLevel, module, msg, error, output: _output, source: _source, ...details } = entry;
+  const method = entryLevel === 'error' ? 'error' : entryLevel === 'warn' ? 'warn' : 'log';
+  const text = Object.keys(details).length > 0
+    ? `[${module}] ${msg} ${JSON.stringify(details)}`
+    : `[${module}] ${msg}`;
+  if (error) {
+    console[method](text, error);
+  } else {
+    console[method](text);
+  }
+}
+
+/**
+ * Filter an entry by level, then write it to the file and console.  Also
+ * receives entries forwarded from worker threads.
+ */
+export function writeLogEntry(entry) {
+  if (LOG_LEVELS.indexOf(entry.level) > LOG_LEVELS.indexOf(level)) return;
+  if (mirrorToConsole) writeToConsole(entry);
+  writeToFile(entry);
+}
+
+function describeError(error) {
+  if (error instanceof Error) return error.message;
+  return error == null ? undefined : String(error);
+}
+
+/**
+ * Create a logger tagged with a module name.
+ *
+ * Each method takes a message and optional fields; `output` names the output
+ * key and `error` may be an Error, whose message is logged.
+ *
+ * @param {string} module  e.g. 'OutputManager'
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function }}
+ */
+export function createLogger(module) {
+  const emit = (entryLevel, msg, fields = {}) => {
+    const { error, ...rest } = fields;
+    const entry = { ts: new Date().toISOString(), level: entryLevel, module, msg, ...rest };
+    if (error !== undefined) entry.error = describeError(error);
+
+    if (!isMainThread && parentPort) {
+      parentPort.postMessage({ type: 'log', entry });
+    } else {
+      writeLogEntry(entry);
+    }
+  };
+
+  return Object.fromEntries(LOG_LEVELS.map((entryLevel) => [
+    entryLevel,
+    (msg, fields) => emit(entryLevel, msg, fields),
+  ]));
+}
@@ -13,11 +13,27 @@
 
 import { app } from 'electron';
 import fs from 'fs';
+import path from 'path';
 import { parseArgs } from './cli.js';
+import {
+  configToArgs,
+  diffConfigOutputs,
+  enabledConfigOutputs,
+  readConfigFile,
+  watchConfigFile,
+} from './configFile.js';
 import { startIpcServer, stopIpcServer } from './ipc.js';
-import { initOutputManager, destroyOutputManager } from './outputManager.js';
+import { startHttpApi, stopHttpApi } from './httpApi.js';
+import {
+  initOutputManager,
+  destroyOutputManager,
+  enableOutput,
+  disableOutput,
+  updateOutputConfig,
+} from './outputManager.js';
 import { destroyNdiBackend } from './ndiSender.js';
-import { initSettings } from './settings.js';
+import { initSettings, loadOutputConfigs, saveOutputConfigs } from './settings.js';
+import { closeLogger, configureLogger, createLogger } from './logger.js';
 import {
   configureCompanionUserData,
   getDefaultCompanionUserDataDir,
@@ -30,7 +46,22 @@ app.disableHardwareAcceleration();
 // Prevent the default Electron window from appearing.
 app.on('window-all-closed', (e) => e.preventDefault?.());
 
-const args = parseArgs(process.argv);
+const log = createLogger('Companion');
+const cliArgs = parseArgs(process.argv);
+let fileConfig = null;
+let configFileError = null;
+
+if (cliArgs.configPath) {
+  try {
+    fileConfig = readConfigFile(cliArgs.configPath);
+  } catch (error) {
+    configFileError = error;
+    log.error(`Could not load config file ${cliArgs.configPath}`, { error });
+  }
+}
+
+const args = fileConfig ? parseArgs(process.argv, configToArgs(fileConfig)) : cliArgs;
+let stopWatchingConfig = null;
 const requestedUserDataDir = resolveCompanionUserDataDir(
   args.userDataDir,
   process.env,
@@ -38,28 +69,130 @@ const requestedUserDataDir = resolveCompanionUserDataDir(
 );
 let userDataConfigurationError = null;
 
+configureLogger({
+  dir: requestedUserDataDir ? path.join(requestedUserDataDir, 'logs') : '',
+  level: args.logLevel,
+});
+
 try {
   configureCompanionUserData({ app, fs, userDataDir: requestedUserDataDir });
 } catch (error) {
   userDataConfigurationError = error;
-  console.error('[Companion] Could not configure the managed user-data directory:', error.message);
+  log.error('Could not configure the managed user-data directory', { error });
 }
 
+/**
+ * Re-enable the outputs saved by the previous run.  Each output is restored
+ * on its own so one failing source does not keep the others off the air.
+ */
+const restoreSavedOutputs = () => {
+  const configs = loadOutputConfigs();
+  const keys = Object.keys(configs);
+  if (keys.length === 0) return;
+
+  log.info(`Restoring saved outputs: ${keys.join(', ')}`);
+  for (const key of keys) {
+    enableOutput(key, configs[key]).then((enabled) => {
+      if (!enabled) log.warn(`Could not restore ${key}`, { output: key });
+    });
+  }
+};
+
+const enableOrWarn = (key, config) => {
+  enableOutput(key, config).then((enabled) => {
+    if (!enabled) log.warn(`Could not enable ${key}`, { output: key });
+  });
+};
+
+/**
+ * Bring up the outputs declared in the `--config` file, then apply edits to
+ * the file through the output manager's per-output queue.
+ */
+const startConfigFileOutputs = () => {
+  let applied = fileConfig;
+  const initial = enabledConfigOutputs(applied);
+  log.info(`Standalone mode: ${Object.keys(initial).join(', ') || 'no outputs'} from ${args.configPath}`);
+  for (const [key, config] of Object.entries(initial)) {
+    enableOrWarn(key, config);
+  }
+
+  stopWatchingConfig = watchConfigFile(args.configPath, (config) => {
+    if (JSON.stringify(configToArgs(config)) !== JSON.stringify(configToArgs(applied))) {
+      log.warn('appUrl, allowedOrigins and IPC changes in the config file take effect after a restart');
+    }
+    const { enable, update, disable } = diffConfigOutputs(applied, config);
+    const outputs = enabledConfigOutputs(config);
+    applied = config;
+    if (enable.length + update.length + disable.length === 0) return;
+
+    log.info(`Config file changed (enable: ${enable.join(', ') || '-'}, update: ${update.join(', ') || '-'}, disable: ${disable.join(', ') || '-'})`);
+    for (const key of disable) {
+      disableOutput(key);
+    }
+    for (const key of enable) {
+      enableOrWarn(key, outputs[key]);
+    }
+    for (const key of update) {
+      // An output that failed to come up earlier gets another attempt.
+      updateOutputConfig(key, outputs[key]).then((updated) => {
+        if (!updated) enableOrWarn(key, outputs[key]);
+      });
+    }
+  }, (error) => {
+    log.warn('Ignoring config file change', { error });
+  });
+};
+
 const startCompanion = async () => {
   console.log('=============================================');
   console.log('  LyricDisplay NDI Companion v' + app.getVersion());
   console.log('=============================================');
-  console.log(`  IPC : tcp://${args.host}:${args.port}`);
+  console.log(`  IPC : ${args.ipcSocket || `tcp://${args.host}:${args.port}`}`);
+  if (args.wsPort) console.log(`  WS  : ws://${args.wsHost || args.host}:${args.wsPort}`);
+  if (args.httpPort) console.log(`  HTTP: http://${args.httpHost || args.host}:${args.httpPort}`);
   console.log(`  App : ${args.appUrl}`);
+  if (args.configPath) console.log(`  Conf: ${args.configPath}`);
   if (requestedUserDataDir) console.log(`  Data: ${requestedUserDataDir}`);
   console.log('');
+  log.info(`Starting v${app.getVersion()} (IPC ${args.ipcSocket || `tcp://${args.host}:${args.port}`}, app ${args.appUrl})`);
 
   initSettings();
-  initOutputManager(args.appUrl, { hashRouting: args.hashRouting });
-  startIpcServer(args.host, args.port, { authToken: args.authToken });
+  initOutputManager(args.appUrl, {
+    hashRouting: args.hashRouting,
+    allowedOrigins: args.allowedOrigins,
+    // The config file is the source of truth in standalone mode, so its
+    // outputs are not saved over the ones --restore-outputs brings back.
+    onConfigsChanged: fileConfig ? null : saveOutputConfigs,
+  });
+  if (fileConfig) {
+    startConfigFileOutputs();
+  } else if (args.restoreOutputs) {
+    restoreSavedOutputs();
+  }
+  try {
+    await startIpcServer(args.host, args.port, {
+      authToken: args.authToken,
+      socketPath: args.ipcSocket,
+      webSocket: { host: args.wsHost, port: args.wsPort },
+      onShutdown: shutdown,
+    });
+  } catch (error) {
+    log.error('Could not start the IPC server', { error });
+    app.exit(1);
+    return;
+  }
+
+  if (args.httpPort) {
+    try {
+      await startHttpApi(args.httpHost || args.host, args.httpPort, { authToken: args.authToken });
+    } catch (error) {
+      log.error('Could not start the HTTP API', { error });
+      app.exit(1);
+    }
+  }
 };
 
-if (userDataConfigurationError) {
+if (userDataConfigurationError || configFileError) {
   app.whenReady().then(() => app.exit(1));
 } else {
   app.whenReady().then(startCompanion);
@@ -68,10 +201,13 @@ if (userDataConfigurationError) {
 let shutdownPromise = null;
 const shutdown = () => {
   if (shutdownPromise) return shutdownPromise;
-  console.log('[Companion] Shutting down…');
+  log.info('Shutting down…');
+  stopWatchingConfig?.();
   stopIpcServer();
+  stopHttpApi();
   shutdownPromise = Promise.resolve(destroyOutputManager()).finally(() => {
     destroyNdiBackend();
+    closeLogger();
     app.quit();
   });
   return shutdownPromise;
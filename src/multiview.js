@@ -0,0 +1,211 @@
+/**
+ * Multiview
+ *
+ * A multiview output tiles the latest captured frames of other outputs into
+ * one NDI source, with a label and a tally border per tile.  It reuses the
+ * sources' captures, so their pages are not rendered a second time.
+ */
+
+import { drawText, fillRect, measureText, strokeRect } from './overlays.js';
+import { planFrameScale } from './frameScale.js';
+
+export const DEFAULT_MULTIVIEW_SOURCES = ['output1', 'output2', 'stage'];
+
+const MULTIVIEW_KEY_PATTERN = /^multiview\d*$/;
+const GRID_LAYOUT_PATTERN = /^([1-4])x([1-4])$/;
+export const MULTIVIEW_LAYOUT_PATTERN = /^(auto|custom|[1-4]x[1-4])$/;
+
+const BACKDROP = [24, 24, 24];
+const PROGRAM_BORDER = [0, 0, 224];
+const PREVIEW_BORDER = [0, 192, 0];
+const IDLE_BORDER = [64, 64, 64];
+
+/**
+ * @typedef {Object} MultiviewCell
+ * @property {number} x       Left edge as a fraction of the frame width
+ * @property {number} y       Top edge as a fraction of the frame height
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} MultiviewConfig
+ * @property {string[]} sources  Output keys, one per tile in order
+ * @property {string} layout     `auto`, `<columns>x<rows>` or `custom`
+ * @property {MultiviewCell[]} cells  Tiles for the `custom` layout
+ * @property {boolean} labels
+ * @property {boolean} tally
+ */
+
+export function isMultiviewKey(outputKey) {
+  return MULTIVIEW_KEY_PATTERN.test(String(outputKey));
+}
+
+/**
+ * Fill in multiview defaults: output1, output2 and stage on an automatic
+ * grid with labels and tally.
+ *
+ * @param {Partial<MultiviewConfig>} [multiview]
+ * @returns {MultiviewConfig}
+ */
+export function normalizeMultiviewConfig(multiview = {}) {
+  const sources = Array.isArray(multiview?.sources) && multiview.sources.length > 0
+    ? multiview.sources.filter((key) => typeof key === 'string' && !isMultiviewKey(key))
+    : DEFAULT_MULTIVIEW_SOURCES;
+  const layout = MULTIVIEW_LAYOUT_PATTERN.test(multiview?.layout) ? multiview.layout : 'auto';
+  return {
+    sources,
+    layout: layout === 'custom' && !Array.isArray(multiview.cells) ? 'auto' : layout,
+    cells: layout === 'custom' && Array.isArray(multiview.cells) ? multiview.cells : [],
+    labels: multiview?.labels !== false,
+    tally: multiview?.tally !== false,
+  };
+}
+
+/**
+ * Check a multiview config's sources.
+ *
+ * @returns {{ path: string, message: string }|null}
+ */
+export function checkMultiviewConfig(multiview = {}) {
+  const sources = multiview?.sources || [];
+  const nested = sources.findIndex((key) => isMultiviewKey(key));
+  if (nested !== -1) {
+    return { path: `multiview.sources[${nested}]`, message: 'a multiview cannot show another multiview' };
+  }
+  if (multiview?.layout === 'custom' && !(multiview.cells?.length > 0)) {
+    return { path: 'multiview.cells', message: 'is required for the custom layout' };
+  }
+  return null;
+}
+
+/**
+ * Tiles for a layout, in source order.
+ *
+ * @param {MultiviewConfig} multiview
+ * @returns {MultiviewCell[]}
+ */
+export function resolveMultiviewCells({ layout, cells, sources }) {
+  if (layout === 'custom') return cells;
+
+  let columns;
+  let rows;
+  const grid = GRID_LAYOUT_PATTERN.exec(layout);
+  if (grid) {
+    columns = Number(grid[1]);
+    rows = Number(grid[2]);
+  } else {
+    columns = Math.max(1, Math.ceil(Math.sqrt(sources.length)));
+    rows = Math.max(1, Math.ceil(sources.length / columns));
+  }
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      tiles.push({ x: column / columns, y: row / rows, width: 1 / columns, height: 1 / rows });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Draw a premultiplied BGRA frame into a rectangle the way its output sends
+ * it: cropped, scaled into the sent frame's shape with nearest-neighbour
+ * sampling, and flattened onto the output's background, or black.
+ */
+function blitScaled(dst, width, height, rect, frame) {
+  const [bb, bg, br] = frame.background || [0, 0, 0];
+  const sendWidth = frame.sendWidth || frame.width;
+  const sendHeight = frame.sendHeight || frame.height;
+  const scale = Math.min(rect.width / sendWidth, rect.height / sendHeight);
+  const drawWidth = Math.max(1, Math.floor(sendWidth * scale));
+  const drawHeight = Math.max(1, Math.floor(sendHeight * scale));
+  const left = rect.x + ((rect.width - drawWidth) >> 1);
+  const top = rect.y + ((rect.height - drawHeight) >> 1);
+  fillRect(dst, width, height, rect.x, rect.y, rect.width, rect.height, [0, 0, 0]);
+  if (frame.background) {
+    // The output's own letterbox bars are transparent, so they take its background.
+    fillRect(dst, width, height, left, top, drawWidth, drawHeight, frame.background);
+  }
+
+  const plan = planFrameScale(frame.width, frame.height, frame.crop ?? null, drawWidth, drawHeight, frame.scaleMode)
+    || { sx: 0, sy: 0, sw: frame.width, sh: frame.height, dx: 0, dy: 0, dw: drawWidth, dh: drawHeight };
+  for (let y = 0; y < plan.dh; y++) {
+    const srcRow = (plan.sy + ((y * plan.sh / plan.dh) | 0)) * frame.width + plan.sx;
+    let d = ((top + plan.dy + y) * width + left + plan.dx) * 4;
+    for (let x = 0; x < plan.dw; x++, d += 4) {
+      const s = (srcRow + ((x * plan.sw / plan.dw) | 0)) * 4;
+      const inverse = 255 - frame.pixels[s + 3];
+      dst[d] = frame.pixels[s] + ((bb * inverse + 127) / 255 | 0);
+      dst[d + 1] = frame.pixels[s + 1] + ((bg * inverse + 127) / 255 | 0);
+      dst[d + 2] = frame.pixels[s + 2] + ((br * inverse + 127) / 255 | 0);
+      dst[d + 3] = 255;
+    }
+  }
+}
+
+/**
+ * @typedef {Object} MultiviewFrame
+ * @property {Uint8Array} pixels  Premultiplied BGRA capture
+ * @property {number} width
+ * @property {number} height
+ * @property {[number, number, number]|null} [background]  The source output's background (B, G, R)
+ * @property {import('./frameScale.js').CropRect|null} [crop]  Part of the capture the source output sends
+ * @property {'fit'|'stretch'} [scaleMode]
+ * @property {number} [sendWidth]   The source output's sent size; the capture's size when unset
+ * @property {number} [sendHeight]
+ */
+
+/**
+ * @typedef {Object} MultiviewSource
+ * @property {string} label
+ * @property {MultiviewFrame|null} frame  null when the output has no capture
+ * @property {{ onProgram: boolean, onPreview: boolean }|null} tally
+ */
+
+/**
+ * Draw a multiview frame.
+ *
+ * @param {Uint8Array} dst  BGRA, width * height * 4 bytes
+ * @param {number} width
+ * @param {number} height
+ * @param {MultiviewCell[]} cells
+ * @param {MultiviewSource[]} sources  One per cell; extra cells stay empty
+ * @param {{ labels: boolean, tally: boolean }} opts
+ */
+export function composeMultiview(dst, width, height, cells, sources, { labels, tally }) {
+  fillRect(dst, width, height, 0, 0, width, height, BACKDROP);
+  const textScale = Math.max(1, Math.round(height / 540));
+  const border = Math.max(2, textScale * 2);
+
+  cells.forEach((cell, i) => {
+    const source = sources[i];
+    if (!source) return;
+    const x = Math.round(cell.x * width);
+    const y = Math.round(cell.y * height);
+    const rect = {
+      x: x + border,
+      y: y + border,
+      width: Math.min(width, Math.round((cell.x + cell.width) * width)) - x - 2 * border,
+      height: Math.min(height, Math.round((cell.y + cell.height) * height)) - y - 2 * border,
+    };
+    if (rect.width <= 0 || rect.height <= 0) return;
+
+    if (source.frame) {
+      blitScaled(dst, width, height, rect, source.frame);
+    } else {
+      const text = 'NO SIGNAL';
+      drawText(dst, width, height, text, rect.x + ((rect.width - measureText(text, textScale)) >> 1), rect.y + (rect.height >> 1), textScale);
+    }
+
+    let color = IDLE_BORDER;
+    if (tally && source.tally?.onProgram) color = PROGRAM_BORDER;
+    else if (tally && source.tally?.onPreview) color = PREVIEW_BORDER;
+    strokeRect(dst, width, height, rect.x - border, rect.y - border, rect.width + 2 * border, rect.height + 2 * border, border, color);
+
+    if (labels) {
+      const pad = 4 * textScale;
+      drawText(dst, width, height, source.label, rect.x + pad, rect.y + rect.height - pad - 7 * textScale, textScale);
+    }
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * NDI metadata payloads published alongside an output's video.
+ */
+
+const METADATA_VERSION = 1;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function textElement(name, value) {
+  if (value == null || value === '') return `<${name}/>`;
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Build the lyric metadata frame sent to NDI receivers.
+ *
+ * @param {object} lyric
+ * @param {string} [lyric.songTitle]
+ * @param {string} [lyric.section]      e.g. "Verse 1" or "Chorus"
+ * @param {string} [lyric.currentLine]
+ * @param {string} [lyric.nextLine]
+ * @returns {string}
+ */
+export function buildLyricMetadataXml({ songTitle, section, currentLine, nextLine } = {}) {
+  return [
+    `<lyricdisplay version="${METADATA_VERSION}">`,
+    textElement('song_title', songTitle),
+    textElement('section', section),
+    textElement('current_line', currentLine),
+    textElement('next_line', nextLine),
+    '</lyricdisplay>',
+  ].join('');
+}
@@ -2,9 +2,20 @@
  * NDI Sender – wraps the `grandi` native module.
  *
  * Each sender represents one NDI source on the network.
- * Frames are submitted as raw BGRA buffers from the offscreen paint event.
+ * Frames are submitted as raw BGRA buffers from the offscreen paint event,
+ * or as UYVY/UYVA planes produced by frameConvert.js.
+ *
+ * The main thread initialises the NDI runtime, which is process-wide.  Each
+ * sender worker loads its own copy of this module to reach the native
+ * sender, but neither initialises the runtime again nor logs the backend.
  */
 
+import { isMainThread } from 'node:worker_threads';
+import { createLogger } from './logger.js';
+import { describeFramerate } from './framerate.js';
+
+const log = createLogger('NdiSender');
+
 let grandi = null;
 let loadError = null;
 let backendInitialized = false;
@@ -35,18 +46,18 @@ function describeError(error) {
 try {
   const mod = await import('grandi');
   const candidate = mod.default || mod;
-  if (typeof candidate.initialize !== 'function' || !candidate.initialize()) {
+  if (isMainThread && (typeof candidate.initialize !== 'function' || !candidate.initialize())) {
     throw new Error('The NDI runtime could not initialize on this CPU');
   }
 
   grandi = candidate;
-  backendInitialized = true;
+  backendInitialized = isMainThread;
   sdkVersion = typeof grandi.version === 'function' ? grandi.version() : null;
-  console.log(`[NdiSender] Grandi initialized${sdkVersion ? ` (${sdkVersion})` : ''}`);
+  if (isMainThread) log.info(`Grandi initialized${sdkVersion ? ` (${sdkVersion})` : ''}`);
 } catch (err) {
   loadError = err;
-  console.error('[NdiSender] Failed to load or initialize grandi:', err);
-  console.error('[NdiSender] NDI output will be unavailable.');
+  // A worker's failure reaches the main thread as its pipeline's `failed` message.
+  if (isMainThread) log.error('Failed to load or initialize grandi; NDI output will be unavailable', { error: describeError(err) });
 }
 
 /**
@@ -55,10 +66,15 @@ try {
  * @property {string} name
  * @property {number} width
  * @property {number} height
- * @property {number} framerate
+ * @property {import('./framerate.js').Framerate} framerate
+ * @property {'bgra'|'uyvy'|'uyva'} pixelFormat
  * @property {boolean} ready       – true once the async sender is created
  * @property {boolean} sending     – true while a video() call is in flight
+ * @property {object[]} queue      – frames waiting for the in-flight video() call
+ * @property {number} queueDepth   – maximum frames queued or in flight
+ * @property {number} queueDrops   – frames rejected because the queue was full
  * @property {Function} sendFrame
+ * @property {Function} sendMetadata
  * @property {Function} destroy
  */
 
@@ -68,20 +84,31 @@ try {
  * @param {string} name      NDI source name visible on the network
  * @param {number} width     Frame width in pixels
  * @param {number} height    Frame height in pixels
- * @param {number} framerate Target framerate (used for NDI timing metadata)
+ * @param {import('./framerate.js').Framerate} framerate  Target framerate as sent in NDI timing metadata
+ * @param {object} [options]
+ * @param {'bgra'|'uyvy'|'uyva'} [options.pixelFormat='bgra']  Layout of the buffers passed to sendFrame
+ * @param {number} [options.queueDepth=2]  Frames that may be queued or in flight at once
+ * @param {Function} [options.onSendComplete]
+ * @param {Function} [options.onSendFailure]
  * @returns {NdiSenderHandle|null}
  */
-export function createNdiSender(name, width, height, framerate, callbacks = {}) {
+export function createNdiSender(name, width, height, framerate, options = {}) {
   if (!grandi) {
-    console.warn(`[NdiSender] grandi not available – "${name}" will not broadcast.`);
+    log.warn(`grandi not available – "${name}" will not broadcast.`, { source: name });
     return null;
   }
 
-  const FOURCC_BGRA = grandi.FourCC?.BGRA;
+  const pixelFormat = options.pixelFormat || 'bgra';
+  const FOURCC = {
+    bgra: grandi.FourCC?.BGRA,
+    uyvy: grandi.FourCC?.UYVY,
+    uyva: grandi.FourCC?.UYVA,
+  }[pixelFormat];
+  const BYTES_PER_PIXEL = pixelFormat === 'bgra' ? 4 : 2;
   const FORMAT_PROGRESSIVE = grandi.FrameType?.Progressive;
 
-  if (FOURCC_BGRA == null || FORMAT_PROGRESSIVE == null) {
-    console.error('[NdiSender] Could not resolve Grandi v2 video enums – NDI output unavailable.');
+  if (FOURCC == null || FORMAT_PROGRESSIVE == null) {
+    log.error(`Could not resolve Grandi v2 video enums for ${pixelFormat} – NDI output unavailable.`, { source: name });
     return null;
   }
 
@@ -94,70 +121,71 @@ export function createNdiSender(name, width, height, framerate, callbacks = {})
     width,
     height,
     framerate,
+    pixelFormat,
     ready: false,
     sending: false,
+    queue: [],
+    queueDepth: Math.max(1, options.queueDepth || 2),
+    queueDrops: 0,
     inflight: 0,
     closing: false,
     closed: false,
     destroyPromise: null,
 
     /**
-     * Submit a single BGRA frame.
+     * Queue a single frame in the sender's pixel format.  Frames are sent
+     * one at a time; when `queueDepth` frames are already queued or in
+     * flight the new frame is rejected and counted in `queueDrops`.
      *
-     * @param {Buffer} bgraBuffer  Raw pixel data (width * height * 4 bytes)
+     * @param {Buffer} frameBuffer  Raw pixel data (BGRA, UYVY, or UYVY followed by an alpha plane)
      * @param {number} w           Actual frame width
      * @param {number} h           Actual frame height
+     * @param {object} [opts]
+     * @param {bigint} [opts.timecode]  Explicit timecode, e.g. to pair fill and key frames
+     * @param {(sent: boolean) => void} [opts.onSettled]  Called once NDI no longer needs `frameBuffer`, with
+     *   whether it was sent (not when false is returned)
      */
-    sendFrame(bgraBuffer, w, h) {
+    sendFrame(frameBuffer, w, h, opts = {}) {
       if (!handle.ready || !handle.sender || handle.closing) return false;
-      if (handle.sending) return false;
+      if (!handle.hasCapacity()) {
+        handle.queueDrops++;
+        return false;
+      }
 
-      handle.sending = true;
+      handle.queue.push({ frameBuffer, w, h, opts });
       handle.inflight += 1;
+      pump();
+      return true;
+    },
 
-      let sendPromise;
+    /**
+     * Send an XML metadata frame on this source.
+     *
+     * @param {string} xml
+     * @returns {boolean} true when NDI accepted the frame
+     */
+    sendMetadata(xml) {
+      if (!handle.ready || !handle.sender || handle.closing) return false;
       try {
-        sendPromise = handle.sender.video({
-          type: 'video',
-          xres: w,
-          yres: h,
-          frameRateN: framerate,
-          frameRateD: 1,
-          pictureAspectRatio: w / h,
-          fourCC: FOURCC_BGRA,
-          frameFormatType: FORMAT_PROGRESSIVE,
-          lineStrideBytes: w * 4,
-          data: bgraBuffer,
-          timecode: grandi.TIMECODE_SYNTHESIZE,
-        });
+        return handle.sender.metadata(xml) !== false;
       } catch (err) {
-        handle.sending = false;
-        handle.inflight = Math.max(0, handle.inflight - 1);
-        throw err;
+        log.warn(`metadata() error on "${name}"`, { source: name, error: err });
+        return false;
       }
+    },
 
-      Promise.resolve(sendPromise)
-        .then(() => {
-          callbacks.onSendComplete?.();
-        })
-        .catch((err) => {
-          console.error(`[NdiSender] video() error on "${name}":`, err.message);
-          callbacks.onSendFailure?.(err);
-        })
-        .finally(() => {
-          handle.sending = false;
-          handle.inflight = Math.max(0, handle.inflight - 1);
-        });
-
-      return true;
+    /** True while another frame fits in the bounded send queue. */
+    hasCapacity() {
+      return handle.inflight < handle.queueDepth;
     },
 
     destroy() {
       if (handle.closed) return;
       handle.closing = true;
+      flushQueue();
       if (handle.sender) {
         try {
-          console.log(`[NdiSender] Destroying sender "${name}"`);
+          log.info(`Destroying sender "${name}"`, { source: name });
           handle.sender.destroy();
         } catch { /* ignore */ }
         handle.sender = null;
@@ -171,6 +199,7 @@ export function createNdiSender(name, width, height, framerate, callbacks = {})
       if (handle.destroyPromise) return handle.destroyPromise;
 
       handle.closing = true;
+      flushQueue();
       handle.destroyPromise = new Promise((resolve) => {
         const start = Date.now();
 
@@ -182,7 +211,7 @@ export function createNdiSender(name, width, height, framerate, callbacks = {})
           }
 
           if (Date.now() - start >= timeoutMs) {
-            console.warn(`[NdiSender] Graceful destroy timeout for "${label}" after ${timeoutMs}ms`);
+            log.warn(`Graceful destroy timeout for "${label}" after ${timeoutMs}ms`, { source: name });
             handle.destroy();
             resolve({ forced: true });
             return;
@@ -217,7 +246,7 @@ export function createNdiSender(name, width, height, framerate, callbacks = {})
           },
         };
       } catch (err) {
-        console.warn(`[NdiSender] Could not read sender state for "${name}":`, err.message);
+        log.warn(`Could not read sender state for "${name}"`, { source: name, error: err });
         return {
           connections: 0,
           sourceName: name,
@@ -227,6 +256,61 @@ export function createNdiSender(name, width, height, framerate, callbacks = {})
     },
   };
 
+  const settle = (job, sent) => {
+    handle.inflight = Math.max(0, handle.inflight - 1);
+    job.opts.onSettled?.(sent);
+  };
+
+  // Frames that have not reached video() yet are released unsent on close.
+  const flushQueue = () => {
+    for (const job of handle.queue.splice(0)) {
+      settle(job, false);
+    }
+  };
+
+  const pump = () => {
+    if (handle.sending || handle.queue.length === 0 || !handle.sender) return;
+
+    const job = handle.queue.shift();
+    const { frameBuffer, w, h, opts } = job;
+    handle.sending = true;
+
+    let sent = false;
+    let sendPromise;
+    try {
+      sendPromise = handle.sender.video({
+        type: 'video',
+        xres: w,
+        yres: h,
+        frameRateN: framerate.numerator,
+        frameRateD: framerate.denominator,
+        pictureAspectRatio: w / h,
+        fourCC: FOURCC,
+        frameFormatType: FORMAT_PROGRESSIVE,
+        lineStrideBytes: w * BYTES_PER_PIXEL,
+        data: frameBuffer,
+        timecode: opts.timecode ?? grandi.TIMECODE_SYNTHESIZE,
+      });
+    } catch (err) {
+      sendPromise = Promise.reject(err);
+    }
+
+    Promise.resolve(sendPromise)
+      .then(() => {
+        sent = true;
+        options.onSendComplete?.();
+      })
+      .catch((err) => {
+        log.error(`video() error on "${name}"`, { source: name, error: err });
+        options.onSendFailure?.(err);
+      })
+      .finally(() => {
+        handle.sending = false;
+        settle(job, sent);
+        pump();
+      });
+  };
+
   handle.createPromise = grandi.send({ name, clockVideo: true, clockAudio: false })
     .then((sender) => {
       if (handle.closing || handle.closed) {
@@ -236,10 +320,10 @@ export function createNdiSender(name, width, height, framerate, callbacks = {})
       handle.sender = sender;
       handle.ready = true;
       const srcName = sender.sourceName();
-      console.log(`[NdiSender] Sender ready: "${srcName}" (${width}x${height} @ ${framerate}fps)`);
+      log.info(`Sender ready: "${srcName}" (${width}x${height} @ ${describeFramerate(framerate)}fps, ${pixelFormat})`, { source: name });
     })
     .catch((err) => {
-      console.error(`[NdiSender] Failed to create sender "${name}":`, err.message);
+      log.error(`Failed to create sender "${name}"`, { source: name, error: err });
     })
     .finally(() => {
       handle.creating = false;
@@ -264,7 +348,7 @@ export function destroyNdiBackend() {
   try {
     return grandi.destroy() !== false;
   } catch (err) {
-    console.error('[NdiSender] Failed to shut down Grandi:', err);
+    log.error('Failed to shut down Grandi', { error: err });
     return false;
   } finally {
     backendInitialized = false;
@@ -3,11 +3,33 @@
  *
  * Creates and manages offscreen BrowserWindows for each NDI output.
  * Each output loads the corresponding page from the main app backend,
- * captures frames via the `paint` event, and feeds them to an NdiSender.
+ * captures frames via the `paint` event, and feeds them on a fixed cadence
+ * (repeating the last frame while the page is static) to a sender pipeline
+ * whose worker thread converts and sends them over NDI.  While the backend
+ * is unreachable the window shows the output's slate, when it has one turned
+ * on; otherwise the renderer watchdog keeps reloading the page.
  */
 
-import { BrowserWindow } from 'electron';
-import { createNdiSender, destroyNdiSender, getNdiBackendState } from './ndiSender.js';
+import { BrowserWindow, nativeImage } from 'electron';
+import { createFrameCadence } from './frameCadence.js';
+import { destroyNdiSender, getNdiBackendState } from './ndiSender.js';
+import { createSenderPipeline } from './senderPipeline.js';
+import { createRendererWatchdog } from './rendererWatchdog.js';
+import { buildSlateUrl, normalizeSlateConfig, probeAppUrl } from './slate.js';
+import { isAllowedOrigin, resolveOutputUrl } from './outputUrl.js';
+import { backgroundCss, backgroundToBgr, normalizeBackground } from './background.js';
+import { hasOverlays, normalizeOverlays } from './overlays.js';
+import { checkFrameGeometry, normalizeFrameGeometry, pickFrameGeometry } from './frameScale.js';
+import { describeFramerate, formatFramerate, framerateToNumber, parseFramerate } from './framerate.js';
+import {
+  checkMultiviewConfig,
+  isMultiviewKey,
+  normalizeMultiviewConfig,
+  resolveMultiviewCells,
+} from './multiview.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('OutputManager');
 
 const RESOLUTION_MAP = {
   '720p': { width: 1280, height: 720 },
@@ -15,29 +37,59 @@ const RESOLUTION_MAP = {
   '4k': { width: 3840, height: 2160 },
 };
 
-const OUTPUT_PATHS = {
-  output1: 'output1',
-  output2: 'output2',
-  stage: 'stage',
-};
+const ALPHA_MODES = new Set(['embedded', 'fill-key']);
+const PIXEL_FORMATS = new Set(['bgra', 'uyvy', 'uyva']);
+const DEFAULT_FRAMERATE = { numerator: 30, denominator: 1 };
+const DEFAULT_QUEUE_DEPTH = 2;
+const MAX_QUEUE_DEPTH = 8;
+const PREPARE_READY_TIMEOUT_MS = 5000;
+const SLATE_PROBE_INTERVAL_MS = 2000;
 
 /** @type {Map<string, OutputHandle>} */
 const outputs = new Map();
 const outputOperations = new Map();
+const outputEventListeners = new Set();
+const IDLE_RUNTIME = { connections: 0, tally: { onProgram: false, onPreview: false } };
 let baseAppUrl = 'http://127.0.0.1:4000';
 let useHashRouting = true;
+let allowedOrigins = [];
+let onConfigsChanged = null;
+let shuttingDown = false;
 
 /**
  * @typedef {Object} OutputHandle
- * @property {BrowserWindow} win
- * @property {object|null} sender  – NdiSenderHandle from ndiSender.js
- * @property {number} framerate
+ * @property {BrowserWindow} win  – replaced when the watchdog rebuilds the window
+ * @property {string} url
+ * @property {object} watchdog      – renderer recovery policy from rendererWatchdog.js
+ * @property {string} background    – normalized background from background.js
+ * @property {string|null} backgroundCssKey – key of the background CSS inserted into the current page
+ * @property {import('./slate.js').SlateConfig} slate
+ * @property {import('./multiview.js').MultiviewConfig|null} multiview – set for multiview outputs, which have no window
+ * @property {object[]|null} multiviewSeen – source captures and tally in the last composed multiview frame
+ * @property {boolean} slateActive  – the window shows the slate while the backend is probed
+ * @property {ReturnType<typeof setTimeout>|null} slateProbeTimer
+ * @property {object|null} sender  – sender pipeline from senderPipeline.js (fill and key in fill-key mode)
+ * @property {'embedded'|'fill-key'} alphaMode
+ * @property {'bgra'|'uyvy'|'uyva'} pixelFormat
+ * @property {number} queueDepth
+ * @property {object} config        – normalized config the output was created from
+ * @property {string|null} metadataXml – latest NDI metadata frame for this output
+ * @property {import('./overlays.js').OverlayConfig} overlays – burn-in overlays drawn by the sender worker
+ * @property {{ connections: number, tally: object }} reportedRuntime – last state sent as output events
+ * @property {number} framerate     – frames per second, fractional for broadcast rates
+ * @property {import('./framerate.js').Framerate} framerateRatio – the rate as NDI sends it
  * @property {string} sourceName
- * @property {number} width
+ * @property {number} width         – sent size
  * @property {number} height
- * @property {NodeJS.Timeout|null} invalidateTimer – forces repaints for static content
+ * @property {number} renderWidth   – page (window) size; the render is scaled to the sent size
+ * @property {number} renderHeight
+ * @property {import('./frameScale.js').CropRect|null} crop – part of the render that is sent
+ * @property {'fit'|'stretch'} scaleMode
+ * @property {object|null} cadence – fixed-rate frame clock from frameCadence.js
  * @property {number} framesSent
  * @property {number} framesDropped
+ * @property {number} framesRepeated  – ticks that re-sent the last frame because nothing new was painted
+ * @property {number} framesCoalesced – paints superseded by a newer paint within the same tick
  * @property {number} ndiSendFailures
  * @property {number} lastPaintTs
  * @property {number[]} frameTimes  – ring buffer of recent frame durations (ms)
@@ -55,38 +107,120 @@ let lastCadenceLogTs = 0;
  * @param {string} appUrl   Base URL of the main LyricDisplay backend
  * @param {object} [opts]
  * @param {boolean} [opts.hashRouting=true]  Use hash-based routing when requested by the host app
+ * @param {string[]} [opts.allowedOrigins]  Origins besides the app's that an output `url` may load
+ * @param {(configs: Object<string, object>) => void} [opts.onConfigsChanged]  Called with every enabled output's config after outputs change
  */
 export function initOutputManager(appUrl, opts = {}) {
   baseAppUrl = appUrl || baseAppUrl;
   useHashRouting = opts.hashRouting !== false;
+  allowedOrigins = opts.allowedOrigins || [];
+  onConfigsChanged = opts.onConfigsChanged || null;
 }
 
 export function destroyOutputManager() {
+  // Outputs closed for shutdown stay in the saved config.
+  shuttingDown = true;
   return Promise.all([...outputs.keys()].map((key) => disableOutput(key)));
 }
 
 /**
- * Build the full URL for an output page.
+ * Configs of the enabled outputs, in the shape `set_outputs` accepts.
+ *
+ * @returns {Object<string, object>}
+ */
+export function getOutputConfigs() {
+  const configs = {};
+  for (const [key, handle] of outputs) {
+    configs[key] = { ...handle.config };
+  }
+  return configs;
+}
+
+function notifyConfigsChanged() {
+  if (shuttingDown || !onConfigsChanged) return;
+  try {
+    onConfigsChanged(getOutputConfigs());
+  } catch (err) {
+    log.error('Could not report output configs', { error: err });
+  }
+}
+
+/**
+ * Build the full URL for an output page.  Multiview outputs have none.
+ *
+ * @returns {{ url: string|null } | { error: string, path: string }}
  */
-function buildOutputUrl(outputKey) {
-  const p = OUTPUT_PATHS[outputKey] || (/^output\d+$/i.test(String(outputKey)) ? outputKey : null);
-  if (!p) return null;
-  if (useHashRouting) {
-    return `${baseAppUrl}/#/${p}`;
+function buildOutputUrl(outputKey, source, format) {
+  if (isMultiviewKey(outputKey)) return { url: null };
+  return resolveOutputUrl(outputKey, source, {
+    appUrl: baseAppUrl,
+    hashRouting: useHashRouting,
+    allowedOrigins,
+    format,
+  });
+}
+
+/**
+ * The `route`, `url` and `query` fields of a config; an update that sets
+ * any of them replaces the output's page source as a whole.
+ */
+function pickPageSource(config) {
+  const source = {};
+  for (const name of ['route', 'url', 'query']) {
+    if (config[name] !== undefined) source[name] = config[name];
   }
-  return `${baseAppUrl}/${p}`;
+  return source;
+}
+
+/**
+ * Check that a config's page source resolves and its crop fits the render,
+ * so callers can reject a disallowed origin or unknown key before touching
+ * the output.
+ *
+ * @returns {{ path: string, message: string }|null}
+ */
+export function checkOutputSource(outputKey, config = {}) {
+  if (isMultiviewKey(outputKey)) return checkMultiviewConfig(config.multiview);
+  const sendSize = config.resolution
+    ? RESOLUTION_MAP[config.resolution] || { width: config.customWidth, height: config.customHeight }
+    : null;
+  const invalidGeometry = checkFrameGeometry(config, sendSize);
+  if (invalidGeometry) return invalidGeometry;
+  const resolved = buildOutputUrl(outputKey, pickPageSource(config), { width: 0, height: 0, framerate: DEFAULT_FRAMERATE });
+  return resolved.error ? { path: resolved.path, message: resolved.error } : null;
+}
+
+/**
+ * UYVA carries its own alpha plane, so fill-key outputs send plain UYVY.
+ */
+function resolvePixelFormat(requested, alphaMode) {
+  const pixelFormat = PIXEL_FORMATS.has(requested) ? requested : 'bgra';
+  return alphaMode === 'fill-key' && pixelFormat === 'uyva' ? 'uyvy' : pixelFormat;
 }
 
-function queueOutputOperation(outputKey, operation) {
-  const key = String(outputKey || '');
-  const previous = outputOperations.get(key) || Promise.resolve();
-  const next = previous.catch(() => null).then(operation);
+function resolveQueueDepth(requested) {
+  const depth = Number(requested);
+  return Number.isInteger(depth) && depth >= 1 && depth <= MAX_QUEUE_DEPTH ? depth : DEFAULT_QUEUE_DEPTH;
+}
+
+/**
+ * Run `operation` once every earlier operation on the given output key(s)
+ * has settled.
+ */
+function queueOutputOperation(outputKeys, operation) {
+  const keys = (Array.isArray(outputKeys) ? outputKeys : [outputKeys]).map((key) => String(key || ''));
+  const previous = Promise.all(keys.map((key) => (outputOperations.get(key) || Promise.resolve()).catch(() => null)));
+  const next = previous.then(operation);
   const tracked = next.finally(() => {
-    if (outputOperations.get(key) === tracked) {
-      outputOperations.delete(key);
+    for (const key of keys) {
+      if (outputOperations.get(key) === tracked) {
+        outputOperations.delete(key);
+      }
     }
   });
-  outputOperations.set(key, tracked);
+  for (const key of keys) {
+    outputOperations.set(key, tracked);
+  }
   return next;
 }
 
@@ -95,64 +229,109 @@ export function enableOutput(outputKey, config = {}) {
 }
 
 async function enableOutputNow(outputKey, config = {}) {
-  if (outputs.has(outputKey)) {
+  const previous = outputs.get(outputKey) ?? null;
+  if (previous) {
     await disableOutputNow(outputKey);
   }
 
-  const url = buildOutputUrl(outputKey);
-  if (!url) {
-    console.warn(`[OutputManager] Unknown output key: ${outputKey}`);
-    return false;
-  }
+  const handle = createOutputHandle(outputKey, config, previous);
+  if (!handle) return false;
+  outputs.set(outputKey, handle);
+  notifyConfigsChanged();
+  return true;
+}
 
+/**
+ * Create an output's offscreen window and sender pipeline and start loading
+ * its page.  The handle is not registered in `outputs`; the caller does that.
+ * Metadata and overlays carry over from the handle being replaced, so
+ * receivers keep seeing the current lyric through a recreate.
+ *
+ * @param {string} outputKey
+ * @param {object} config
+ * @param {OutputHandle|null} [previous]
+ * @param {object} [opts]
+ * @param {boolean} [opts.deferSender=false]  Leave the sender for startOutputSender()
+ * @returns {OutputHandle|null} null when the key is unknown or NDI is unavailable
+ */
+function createOutputHandle(outputKey, config, previous = null, { deferSender = false } = {}) {
+  const metadataXml = previous?.metadataXml ?? null;
   const resolution = config.resolution || '1080p';
   const customWidth = config.customWidth || 1920;
   const customHeight = config.customHeight || 1080;
   const { width, height } = RESOLUTION_MAP[resolution] || { width: customWidth, height: customHeight };
-  const framerate = config.framerate || 30;
+  const framerateRatio = parseFramerate(config.framerate) || DEFAULT_FRAMERATE;
+  const framerate = framerateToNumber(framerateRatio);
   const sourceName = config.sourceName || `LyricDisplay ${outputKey}`;
+  const alphaMode = ALPHA_MODES.has(config.alphaMode) ? config.alphaMode : 'embedded';
+  const pixelFormat = resolvePixelFormat(config.pixelFormat, alphaMode);
+  const queueDepth = resolveQueueDepth(config.queueDepth);
+  const slate = normalizeSlateConfig(config.slate);
+  const background = normalizeBackground(config.background);
+  const multiview = isMultiviewKey(outputKey) ? normalizeMultiviewConfig(config.multiview) : null;
+  // A multiview composes at the sent size.
+  const geometry = multiview ? {} : pickFrameGeometry(config);
+  const { renderWidth, renderHeight, crop, scaleMode } = normalizeFrameGeometry(geometry, width, height);
+  const source = pickPageSource(config);
+  const { url, error } = buildOutputUrl(outputKey, source, { width: renderWidth, height: renderHeight, framerate: framerateRatio });
+  if (error) {
+    log.warn(`Cannot enable ${outputKey}: ${error}`, { output: outputKey });
+    return null;
+  }
+
   const backendState = getNdiBackendState();
 
   if (!backendState.available) {
-    console.warn(`[OutputManager] Cannot enable ${outputKey}: NDI backend unavailable${backendState.error ? ` (${backendState.error})` : ''}`);
-    return false;
+    log.warn(`Cannot enable ${outputKey}: NDI backend unavailable${backendState.error ? ` (${backendState.error})` : ''}`, { output: outputKey });
+    return null;
   }
 
-  const win = new BrowserWindow({
-    width,
-    height,
-    show: false,
-    frame: false,
-    transparent: true,
-    webPreferences: {
-      offscreen: {
-        useSharedTexture: false,
-        deviceScaleFactor: 1,
-      },
-      contextIsolation: true,
-      nodeIntegration: false,
-    },
-  });
-
-  win.setContentSize(width, height);
-
-  win.webContents.setFrameRate(framerate);
-
-  win.webContents.on('dom-ready', () => {
-    win.webContents.insertCSS(
-      'html, body, #root { background: transparent !important; }'
-    ).catch(() => { });
-  });
-
   /** @type {OutputHandle} */
   const handle = {
-    win,
+    win: null,
+    url,
     sender: null,
+    watchdog: null,
+    background,
+    backgroundCssKey: null,
+    slate,
+    multiview,
+    multiviewSeen: null,
+    slateActive: false,
+    slateProbeTimer: null,
+    alphaMode,
+    pixelFormat,
+    requestedPixelFormat: config.pixelFormat || 'bgra',
+    queueDepth,
+    config: {
+      resolution,
+      customWidth,
+      customHeight,
+      framerate: formatFramerate(framerateRatio),
+      sourceName,
+      alphaMode,
+      pixelFormat: config.pixelFormat || 'bgra',
+      queueDepth,
+      background,
+      slate,
+      ...geometry,
+      ...source,
+      ...(multiview && { multiview }),
+    },
+    metadataXml,
+    overlays: previous?.overlays ?? normalizeOverlays(),
+    // A replacement carries on from the receivers and tally last reported.
+    reportedRuntime: previous?.reportedRuntime ?? IDLE_RUNTIME,
     framerate,
+    framerateRatio,
     sourceName,
     width,
     height,
-    invalidateTimer: null,
+    renderWidth,
+    renderHeight,
+    crop,
+    scaleMode,
+    cadence: null,
     closing: false,
     framesSent: 0,
     framesDropped: 0,
@@ -175,27 +354,99 @@ async function enableOutputNow(outputKey, config = {}) {
     sendCount: 0,
   };
 
-  win.webContents.on('did-finish-load', () => {
-    handle.pageLoaded = true;
-    handle.loadError = null;
+  if (!deferSender) {
+    startOutputSender(outputKey, handle);
+  }
+
+  handle.cadence = createFrameCadence(framerate, (frame, tick) => {
+    if (multiview) {
+      sendMultiviewFrame(outputKey, handle, tick);
+    } else {
+      sendCadenceFrame(outputKey, handle, frame, tick);
+    }
   });
-  win.webContents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL, isMainFrame) => {
-    if (!isMainFrame) return;
-    handle.pageLoaded = false;
-    handle.loadError = `${errorCode}: ${errorDescription}`;
-    console.error(`[OutputManager] Failed to load ${outputKey} page (${validatedURL}): ${handle.loadError}`);
+  handle.cadence.start();
+  if (multiview) {
+    // A multiview composes on every tick rather than waiting for a paint.
+    handle.cadence.submit({});
+  }
+
+  handle.watchdog = createRendererWatchdog({
+    reload: () => {
+      log.info(`Reloading ${outputKey} page`, { output: outputKey });
+      loadOutputPage(outputKey, handle);
+    },
+    rebuild: () => {
+      log.warn(`Rebuilding ${outputKey} window`, { output: outputKey });
+      closeOutputWindow(handle);
+      openOutputWindow(outputKey, handle);
+    },
+    onRecovery: ({ event, ...details }) => {
+      if (event === 'renderer_recovered') {
+        log.info(`${outputKey} page recovered after ${details.attempt} attempt(s)`, { output: outputKey });
+      } else {
+        log.warn(`${outputKey} renderer ${details.reason}; ${details.action} in ${details.delayMs}ms (attempt ${details.attempt})`, { output: outputKey });
+      }
+      if (outputs.get(outputKey) === handle) {
+        emitOutputEvent(event, outputKey, details);
+      }
+    },
   });
 
-  handle.sender = createNdiSender(sourceName, width, height, framerate, {
+  let description = url;
+  if (multiview) description = `multiview of ${multiview.sources.join(', ')}`;
+  else if (url.startsWith('data:')) description = 'test pattern';
+  log.info(`Enabling ${outputKey}: ${description} @ ${width}x${height} ${describeFramerate(framerateRatio)}fps ${pixelFormat} → "${sourceName}"${alphaMode === 'fill-key' ? ' (fill + key)' : ''}`, { output: outputKey });
+  if (multiview) {
+    handle.pageLoaded = true;
+  } else {
+    openOutputWindow(outputKey, handle);
+  }
+
+  return handle;
+}
+
+/**
+ * Create an output's sender pipeline and hand it the output's metadata and
+ * overlays.
+ */
+function startOutputSender(outputKey, handle) {
+  const [name, keyName = null] = senderNames(handle);
+  handle.sender = createSenderPipeline({
+    label: outputKey,
+    name,
+    keyName,
+    width: handle.width,
+    height: handle.height,
+    framerate: handle.framerateRatio,
+    pixelFormat: handle.pixelFormat,
+    alphaMode: handle.alphaMode,
+    queueDepth: handle.queueDepth,
+    background: backgroundToBgr(handle.background),
+    crop: handle.crop,
+    scaleMode: handle.scaleMode,
+  }, {
+    onFrameResult: ({ accepted, repeated }) => {
+      if (accepted) {
+        handle.framesSent++;
+        if (repeated) handle.framesRepeated++;
+      } else {
+        handle.framesDropped++;
+      }
+    },
     onSendFailure: (err) => {
       handle.ndiSendFailures++;
       handle.framesDropped++;
       if (handle.ndiSendFailures <= 3) {
-        console.error(`[OutputManager] NDI async send error (${outputKey}):`, err.message);
+        log.error(`NDI async send error (${outputKey})`, { output: outputKey, error: err });
       }
     },
-    onSendComplete: () => {
-      const now = performance.now();
+    onRuntimeState: () => {
+      // A handle prepared by applyOutputConfigs() reports nothing until it is swapped in.
+      if (handle.closing || outputs.get(outputKey) !== handle) return;
+      reportRuntimeChanges(outputKey, handle, readSenderState(handle));
+    },
+    onSendComplete: (now) => {
       if (handle.prevSendTs > 0) {
         const delta = now - handle.prevSendTs;
         handle.sendTimes[handle.sendTimeIdx % FRAME_TIME_BUFFER_SIZE] = delta;
@@ -207,19 +458,127 @@ async function enableOutputNow(outputKey, config = {}) {
     },
   });
 
+  if (handle.metadataXml !== null) {
+    handle.sender.sendMetadata(handle.metadataXml);
+  }
+  if (hasOverlays(handle.overlays)) {
+    try {
+      sendOverlays(outputKey, handle);
+    } catch (err) {
+      log.warn(`Dropping ${outputKey} watermark`, { output: outputKey, error: err });
+      handle.overlays = { ...handle.overlays, watermark: null };
+      sendOverlays(outputKey, handle);
+    }
+  }
+}
+
+/** The NDI source names an output's sender publishes. */
+function senderNames({ sourceName, alphaMode }) {
+  return alphaMode === 'fill-key' ? [`${sourceName} Fill`, `${sourceName} Key`] : [sourceName];
+}
+
+/**
+ * Create the output's offscreen window, wire its paint and lifecycle events
+ * and load the page.  The watchdog calls this again to replace a window
+ * whose renderer will not recover; the sender and cadence carry on.
+ */
+function openOutputWindow(outputKey, handle) {
+  const { renderWidth: width, renderHeight: height, framerate } = handle;
+  const win = new BrowserWindow({
+    width,
+    height,
+    show: false,
+    frame: false,
+    transparent: true,
+    webPreferences: {
+      offscreen: {
+        useSharedTexture: false,
+        deviceScaleFactor: 1,
+      },
+      contextIsolation: true,
+      nodeIntegration: false,
+    },
+  });
+  handle.win = win;
+  handle.pageLoaded = false;
+  // Events from a window that has since been replaced or closed are ignored.
+  const isCurrent = () => handle.win === win && !handle.closing;
+
+  win.setContentSize(width, height);
+
+  // Chromium takes whole rates; painting at 60 for 59.94 leaves the cadence
+  // a fresh frame for every tick.
+  win.webContents.setFrameRate(Math.ceil(framerate));
+
+  // Pages may not navigate the output, be redirected, or open windows
+  // outside the allowlist.
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  const blockOutsideAllowlist = (kind) => (event, url) => {
+    if (!isAllowedOrigin(url, { appUrl: baseAppUrl, allowedOrigins })) {
+      event.preventDefault();
+      log.warn(`Blocked ${outputKey} ${kind} to ${url}`, { output: outputKey });
+    }
+  };
+  win.webContents.on('will-navigate', blockOutsideAllowlist('navigation'));
+  win.webContents.on('will-redirect', blockOutsideAllowlist('redirect'));
+
+  win.webContents.on('dom-ready', () => {
+    if (!isCurrent()) return;
+    // CSS inserted into the previous document went with it.
+    handle.backgroundCssKey = null;
+    applyPageBackground(handle);
+  });
+
+  win.webContents.on('did-finish-load', () => {
+    if (!isCurrent() || handle.slateActive) return;
+    handle.pageLoaded = true;
+    handle.loadError = null;
+    handle.watchdog.reportLoaded();
+  });
+  win.webContents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    // -3 (ERR_ABORTED) is a navigation superseded by another one.
+    if (!isMainFrame || errorCode === -3 || !isCurrent()) return;
+    handle.pageLoaded = false;
+    handle.loadError = `${errorCode}: ${errorDescription}`;
+    if (handle.slateActive) {
+      // Not even the slate loads, so the renderer itself needs recovering.
+      log.error(`Failed to load ${outputKey} slate: ${handle.loadError}`, { output: outputKey });
+      handle.watchdog.reportFailure('load_failed');
+      return;
+    }
+    log.error(`Failed to load ${outputKey} page (${validatedURL}): ${handle.loadError}`, { output: outputKey });
+    if (handle.slate.enabled) {
+      showSlate(outputKey, handle);
+    } else {
+      handle.watchdog.reportFailure('load_failed');
+    }
+  });
+  win.webContents.on('render-process-gone', (_event, details) => {
+    if (!isCurrent()) return;
+    handle.pageLoaded = false;
+    handle.loadError = `renderer gone: ${details.reason}`;
+    log.error(`${outputKey} renderer gone (${details.reason}, exit code ${details.exitCode})`, { output: outputKey });
+    handle.watchdog.reportFailure('crashed');
+  });
+  win.webContents.on('unresponsive', () => {
+    if (!isCurrent()) return;
+    log.warn(`${outputKey} renderer is unresponsive`, { output: outputKey });
+    handle.watchdog.reportFailure('unresponsive');
+  });
+  win.webContents.on('responsive', () => {
+    if (isCurrent()) handle.watchdog.reportResponsive();
+  });
+
   win.webContents.on('paint', (_event, _dirty, image) => {
     const now = performance.now();
     const wallNow = Date.now();
     const idleThresholdMs = Math.max(1000, (1000 / handle.framerate) * 4);
 
-    // Ignore an intentional static-content idle gap in the next cadence sample.
+    // Ignore an intentional static-content idle gap in the next render sample.
     if (handle.lastPaintTs > 0 && wallNow - handle.lastPaintTs > idleThresholdMs) {
       handle.frameTimes.fill(0);
       handle.frameTimeIdx = 0;
       handle.prevPaintTs = 0;
-      handle.sendTimes.fill(0);
-      handle.sendTimeIdx = 0;
-      handle.prevSendTs = 0;
     }
 
     if (handle.prevPaintTs > 0) {
@@ -230,47 +589,179 @@ async function enableOutputNow(outputKey, config = {}) {
     handle.prevPaintTs = now;
     handle.paintCount++;
 
-    if (!handle.sender || !handle.sender.ready) return;
-
     const size = image.getSize();
     if (size.width === 0 || size.height === 0) return;
     handle.actualWidth = size.width;
     handle.actualHeight = size.height;
+    handle.lastPaintTs = wallNow;
 
-    try {
-      const accepted = handle.sender.sendFrame(image.toBitmap(), size.width, size.height);
-      if (accepted) {
-        handle.framesSent++;
-        handle.lastPaintTs = wallNow;
-      } else {
-        handle.framesDropped++;
-      }
-    } catch (err) {
-      handle.ndiSendFailures++;
-      handle.framesDropped++;
-      if (handle.ndiSendFailures <= 3) {
-        console.error(`[OutputManager] NDI send error (${outputKey}):`, err.message);
-      }
-    }
+    // The bitmap copy is deferred to the tick so coalesced paints cost nothing.
+    handle.cadence.submit({ image, width: size.width, height: size.height });
   });
 
-  const invalidateIntervalMs = Math.max(Math.floor(1000 / framerate) - 2, 8);
-  handle.invalidateTimer = setInterval(() => {
-    try {
-      if (!win.isDestroyed()) {
-        win.webContents.invalidate();
-      }
-    } catch { /* window may be closing */ }
-  }, invalidateIntervalMs);
+  loadOutputPage(outputKey, handle);
+}
 
-  console.log(`[OutputManager] Enabling ${outputKey}: ${url} @ ${width}x${height} ${framerate}fps → "${sourceName}"`);
-  win.loadURL(url).catch((error) => {
+/**
+ * Load the live page, leaving the slate if it is showing.
+ */
+function loadOutputPage(outputKey, handle) {
+  stopSlateProbe(handle);
+  if (handle.slateActive) {
+    handle.slateActive = false;
+    emitSlateChange(outputKey, handle);
+  }
+  handle.win.loadURL(handle.url).catch((error) => {
     handle.pageLoaded = false;
     handle.loadError = error.message;
   });
+}
 
-  outputs.set(outputKey, handle);
-  return true;
+/**
+ * Put the slate on the output and probe the backend until it answers, then
+ * load the live page again.  A live page that fails again brings the slate
+ * back, so the probe carries on until the page loads.
+ */
+function showSlate(outputKey, handle) {
+  if (!handle.slateActive) {
+    handle.slateActive = true;
+    log.warn(`Showing ${outputKey} slate until ${handle.url} responds`, { output: outputKey });
+    emitSlateChange(outputKey, handle);
+  }
+  handle.win.loadURL(buildSlateUrl(handle.slate)).catch(() => { });
+  scheduleSlateProbe(outputKey, handle);
+}
+
+function scheduleSlateProbe(outputKey, handle) {
+  stopSlateProbe(handle);
+  handle.slateProbeTimer = setTimeout(async () => {
+    handle.slateProbeTimer = null;
+    const reachable = await probeAppUrl(handle.url);
+    if (handle.closing || !handle.slateActive || handle.slateProbeTimer) return;
+    if (reachable) {
+      log.info(`${handle.url} is reachable again; loading ${outputKey} page`, { output: outputKey });
+      loadOutputPage(outputKey, handle);
+    } else {
+      scheduleSlateProbe(outputKey, handle);
+    }
+  }, SLATE_PROBE_INTERVAL_MS);
+}
+
+function stopSlateProbe(handle) {
+  if (handle.slateProbeTimer) {
+    clearTimeout(handle.slateProbeTimer);
+    handle.slateProbeTimer = null;
+  }
+}
+
+function emitSlateChange(outputKey, handle) {
+  if (outputs.get(outputKey) === handle) {
+    emitOutputEvent('slate_changed', outputKey, { active: handle.slateActive });
+  }
+}
+
+function closeOutputWindow(handle) {
+  const { win } = handle;
+  if (!win) return;
+  try {
+    win.webContents.removeAllListeners('paint');
+    if (!win.isDestroyed()) {
+      win.destroy();
+    }
+  } catch { /* already destroyed */ }
+}
+
+/**
+ * Hand one cadence tick's frame to the sender pipeline.  A frame is copied
+ * into the pipeline's pool on the first tick that sends it; later ticks
+ * repeat that capture.  Send results arrive through the pipeline callbacks.
+ */
+function sendCadenceFrame(outputKey, handle, frame, { coalesced }) {
+  handle.framesCoalesced += coalesced;
+  if (!handle.sender?.ready) return;
+
+  try {
+    const repeated = !frame.image;
+    if (frame.image) {
+      handle.sender.capture(frame.image.toBitmap(), frame.width, frame.height);
+      frame.image = null;
+    }
+
+    if (!handle.sender.sendCurrent({ repeated })) {
+      handle.framesDropped++;
+    }
+  } catch (err) {
+    handle.ndiSendFailures++;
+    handle.framesDropped++;
+    if (handle.ndiSendFailures <= 3) {
+      log.error(`NDI send error (${outputKey})`, { output: outputKey, error: err });
+    }
+  }
+}
+
+/**
+ * Send one multiview tick.  When a source has a new capture or tally, the
+ * sources' captures are handed to the multiview's worker to compose a new
+ * frame; otherwise, or while the worker is still composing, the last one
+ * repeats.
+ */
+function sendMultiviewFrame(outputKey, handle, { coalesced }) {
+  handle.framesCoalesced += coalesced;
+  if (!handle.sender?.ready) return;
+
+  const { multiview, width, height } = handle;
+  const sources = multiview.sources.map((key) => {
+    const source = outputs.get(key);
+    const frame = source && !source.closing ? source.sender?.getCurrentFrame() ?? null : null;
+    const tally = frame ? readSenderState(source).tally : null;
+    return {
+      label: key,
+      frame,
+      tally,
+      // How the source output sends its capture, so its tile matches.
+      view: frame
+        ? {
+          background: backgroundToBgr(source.background),
+          crop: source.crop,
+          scaleMode: source.scaleMode,
+          sendWidth: source.width,
+          sendHeight: source.height,
+        }
+        : null,
+      seen: `${frame ? `${source.sourceName}:${frame.captureId}:${source.background}` : '-'}:${Boolean(tally?.onProgram)}:${Boolean(tally?.onPreview)}`,
+      sender: source?.sender ?? null,
+    };
+  });
+  const changed = !handle.multiviewSeen
+    || sources.some((source, i) => source.sender !== handle.multiviewSeen[i].sender || source.seen !== handle.multiviewSeen[i].seen);
+
+  try {
+    const composed = changed && handle.sender.captureMultiview(
+      { cells: resolveMultiviewCells(multiview), labels: multiview.labels, tally: multiview.tally },
+      sources.map(({ label, tally, view, frame, sender }) => ({
+        label,
+        tally,
+        view,
+        frame: frame ? sender.shareCurrentFrame() : null,
+      })),
+    );
+    if (composed) {
+      handle.multiviewSeen = sources.map(({ sender, seen }) => ({ sender, seen }));
+      handle.paintCount++;
+      handle.lastPaintTs = Date.now();
+      handle.actualWidth = width;
+      handle.actualHeight = height;
+    }
+    if (!handle.sender.sendCurrent({ repeated: !composed })) {
+      handle.framesDropped++;
+    }
+  } catch (err) {
+    handle.ndiSendFailures++;
+    handle.framesDropped++;
+    if (handle.ndiSendFailures <= 3) {
+      log.error(`Multiview frame error (${outputKey})`, { output: outputKey, error: err });
+    }
+  }
 }
 
 export function disableOutput(outputKey) {
@@ -282,31 +773,48 @@ async function disableOutputNow(outputKey) {
   if (!handle) return false;
 
   if (handle.closing) return false;
-  handle.closing = true;
 
-  console.log(`[OutputManager] Disabling ${outputKey}`);
+  log.info(`Disabling ${outputKey}`, { output: outputKey });
+  outputs.delete(outputKey);
+  notifyConfigsChanged();
+  await destroyOutputHandle(outputKey, handle);
+  return true;
+}
 
-  if (handle.invalidateTimer) {
-    clearInterval(handle.invalidateTimer);
-    handle.invalidateTimer = null;
+/**
+ * Stop an output's cadence and tear down its sender and window.  The handle
+ * must already be out of `outputs` (or never have been registered).
+ *
+ * @param {string} outputKey
+ * @param {OutputHandle} handle
+ * @param {object} [opts]
+ * @param {boolean} [opts.reportCleared=true]  Report receivers and tally as cleared;
+ *   false for a handle that is replaced or was never swapped in
+ */
+async function destroyOutputHandle(outputKey, handle, { reportCleared = true } = {}) {
+  handle.closing = true;
+  handle.watchdog?.stop();
+  stopSlateProbe(handle);
+
+  if (handle.cadence) {
+    handle.cadence.stop();
+    handle.cadence = null;
   }
 
   try {
     handle.win.webContents.removeAllListeners('paint');
   } catch { /* already destroyed */ }
 
-  outputs.delete(outputKey);
+  // Receivers and tally drop with the source, so report them as cleared.
+  if (reportCleared) {
+    reportRuntimeChanges(outputKey, handle, IDLE_RUNTIME);
+  }
 
   const teardown = destroyNdiSender(handle.sender, { timeoutMs: 1500, label: outputKey });
   await Promise.resolve(teardown).finally(() => {
-    try {
-      if (!handle.win.isDestroyed()) {
-        handle.win.destroy();
-      }
-    } catch { /* already destroyed */ }
+    closeOutputWindow(handle);
     handle.sender = null;
   });
-  return true;
 }
 
 export function updateOutputConfig(outputKey, config) {
@@ -317,25 +825,388 @@ async function updateOutputConfigNow(outputKey, config) {
   const handle = outputs.get(outputKey);
   if (!handle) return false;
 
-  const resolution = config.resolution || '1080p';
-  const customWidth = config.customWidth || handle.width;
-  const customHeight = config.customHeight || handle.height;
+  const update = resolveOutputUpdate(outputKey, handle, config);
+  if (update.error) {
+    log.warn(`Cannot update ${outputKey}: ${update.error}`, { output: outputKey });
+    return false;
+  }
+  if (update.needsRecreate) {
+    await enableOutputNow(outputKey, update.config);
+  } else if (update.liveChanged) {
+    applyLiveConfig(outputKey, handle, update);
+  }
+  return true;
+}
+
+/**
+ * Apply a page source, multiview or slate change to a running output.  A new URL is
+ * loaded in the existing window; a slate on air is redrawn, and a disabled
+ * slate hands a failing page back to the watchdog.
+ */
+function applyLiveConfig(outputKey, handle, { config, url }) {
+  const { slate, background } = config;
+  const slateChanged = JSON.stringify(slate) !== JSON.stringify(handle.slate);
+  handle.slate = slate;
+  handle.config = config;
+  notifyConfigsChanged();
+  if (config.multiview) {
+    handle.multiview = config.multiview;
+    handle.multiviewSeen = null;
+  }
+  if (background !== handle.background) {
+    handle.background = background;
+    handle.sender?.setBackground(backgroundToBgr(background));
+    applyPageBackground(handle);
+  }
+  if (url !== handle.url) {
+    handle.url = url;
+    log.info(`Loading ${outputKey} page: ${url}`, { output: outputKey });
+    loadOutputPage(outputKey, handle);
+    return;
+  }
+  if (!slateChanged || !handle.slateActive) return;
+  if (slate.enabled) {
+    showSlate(outputKey, handle);
+  } else {
+    loadOutputPage(outputKey, handle);
+  }
+}
+
+/**
+ * Paint the output's background behind the current page, replacing the
+ * background CSS inserted before.
+ */
+function applyPageBackground(handle) {
+  const { win } = handle;
+  if (!win || win.isDestroyed()) return;
+  const previous = handle.backgroundCssKey;
+  handle.backgroundCssKey = null;
+  if (previous) {
+    win.webContents.removeInsertedCSS(previous).catch(() => { });
+  }
+  win.webContents.insertCSS(backgroundCss(handle.background)).then((key) => {
+    if (handle.win === win) handle.backgroundCssKey = key;
+  }).catch(() => { });
+}
+
+/**
+ * Merge a config update into a running output's settings.  `needsRecreate`
+ * is true when the change needs a new window and sender; page source,
+ * background and slate changes alone (`liveChanged`) apply to the running
+ * output.
+ */
+function resolveOutputUpdate(outputKey, handle, config) {
+  const resolution = config.resolution || handle.config.resolution;
+  const customWidth = config.customWidth || handle.config.customWidth;
+  const customHeight = config.customHeight || handle.config.customHeight;
   const { width, height } = RESOLUTION_MAP[resolution] || { width: customWidth, height: customHeight };
-  const framerate = config.framerate || handle.framerate;
+  const framerateRatio = config.framerate != null
+    ? parseFramerate(config.framerate) || handle.framerateRatio
+    : handle.framerateRatio;
+  const framerate = framerateToNumber(framerateRatio);
   const sourceName = config.sourceName || handle.sourceName;
+  const alphaMode = ALPHA_MODES.has(config.alphaMode) ? config.alphaMode : handle.alphaMode;
+  const pixelFormat = resolvePixelFormat(config.pixelFormat || handle.requestedPixelFormat, alphaMode);
+  const queueDepth = config.queueDepth != null ? resolveQueueDepth(config.queueDepth) : handle.queueDepth;
+  const slate = config.slate ? normalizeSlateConfig(config.slate) : handle.slate;
+  const background = config.background ? normalizeBackground(config.background) : handle.background;
+  const multiview = handle.multiview && config.multiview ? normalizeMultiviewConfig(config.multiview) : handle.multiview;
+  const geometry = multiview ? {} : { ...pickFrameGeometry(handle.config), ...pickFrameGeometry(config) };
+  const { renderWidth, renderHeight, crop, scaleMode } = normalizeFrameGeometry(geometry, width, height);
+  const nextSource = pickPageSource(config);
+  const source = Object.keys(nextSource).length > 0 ? nextSource : pickPageSource(handle.config);
+  const { url, error } = buildOutputUrl(outputKey, source, { width: renderWidth, height: renderHeight, framerate: framerateRatio });
+  if (error) return { error };
 
   const needsRecreate =
     width !== handle.width ||
     height !== handle.height ||
+    renderWidth !== handle.renderWidth ||
+    renderHeight !== handle.renderHeight ||
+    JSON.stringify(crop) !== JSON.stringify(handle.crop) ||
+    scaleMode !== handle.scaleMode ||
     framerate !== handle.framerate ||
-    sourceName !== handle.sourceName;
+    sourceName !== handle.sourceName ||
+    alphaMode !== handle.alphaMode ||
+    pixelFormat !== handle.pixelFormat ||
+    queueDepth !== handle.queueDepth;
+
+  return {
+    needsRecreate,
+    liveChanged: url !== handle.url
+      || background !== handle.background
+      || JSON.stringify(multiview) !== JSON.stringify(handle.multiview)
+      || JSON.stringify(slate) !== JSON.stringify(handle.slate),
+    url,
+    config: {
+      resolution,
+      customWidth,
+      customHeight,
+      framerate: formatFramerate(framerateRatio),
+      sourceName,
+      alphaMode,
+      pixelFormat: config.pixelFormat || handle.requestedPixelFormat,
+      queueDepth,
+      background,
+      slate,
+      ...geometry,
+      ...source,
+      ...(multiview && { multiview }),
+    },
+  };
+}
 
-  if (needsRecreate) {
-    await enableOutputNow(outputKey, { resolution, customWidth, customHeight, framerate, sourceName });
+/**
+ * @typedef {Object} OutputApplyResult
+ * @property {boolean} ok
+ * @property {'enabled'|'recreated'|'updated'|'disabled'|'unchanged'|'failed'|'rolled_back'} action
+ * @property {string} [error]  Why the output failed to prepare
+ */
+
+/**
+ * Apply a full set of output configs as one transaction.  Outputs that need
+ * a new window and sender are prepared next to the running ones; only when
+ * every prepared sender reports ready are they swapped in and the outputs
+ * being disabled torn down.  Otherwise the prepared outputs are destroyed and
+ * every running output stays on its previous config.
+ *
+ * NDI cannot publish two sources with one name, so a prepared output that
+ * keeps the NDI name of an output being replaced or disabled gets its sender
+ * only once the transaction has committed and that output's sender is gone.
+ *
+ * @param {Object<string, object>} configs  Output key → config; `enabled: false` disables the output
+ * @param {object} [opts]
+ * @param {number} [opts.readyTimeoutMs=5000]  How long to wait for prepared senders
+ * @returns {Promise<{ ok: boolean, results: Object<string, OutputApplyResult> }>}
+ */
+export function applyOutputConfigs(configs, opts = {}) {
+  return queueOutputOperation(Object.keys(configs), () => applyOutputConfigsNow(configs, opts));
+}
+
+async function applyOutputConfigsNow(configs, { readyTimeoutMs = PREPARE_READY_TIMEOUT_MS } = {}) {
+  const results = {};
+  const prepared = [];
+  const liveUpdates = [];
+  let failed = false;
+
+  for (const [outputKey, config] of Object.entries(configs)) {
+    const current = outputs.get(outputKey);
+    if (!config?.enabled) {
+      results[outputKey] = { ok: true, action: current ? 'disabled' : 'unchanged' };
+      continue;
+    }
+
+    let nextConfig = config;
+    if (current) {
+      const update = resolveOutputUpdate(outputKey, current, config);
+      if (update.error) {
+        results[outputKey] = { ok: false, action: 'failed', error: update.error };
+        failed = true;
+        break;
+      }
+      if (!update.needsRecreate) {
+        results[outputKey] = { ok: true, action: update.liveChanged ? 'updated' : 'unchanged' };
+        if (update.liveChanged) liveUpdates.push([outputKey, current, update]);
+        continue;
+      }
+      nextConfig = update.config;
+    }
+
+    const invalid = checkOutputSource(outputKey, nextConfig);
+    if (invalid) {
+      results[outputKey] = { ok: false, action: 'failed', error: `${invalid.path}: ${invalid.message}` };
+      failed = true;
+      break;
+    }
+    const handle = createOutputHandle(outputKey, nextConfig, current ?? null, { deferSender: true });
+    if (!handle) {
+      results[outputKey] = { ok: false, action: 'failed', error: 'could not create output' };
+      failed = true;
+      break;
+    }
+    prepared.push({ outputKey, handle, action: current ? 'recreated' : 'enabled' });
+  }
+
+  if (!failed) {
+    const retiringNames = new Set();
+    for (const [outputKey, config] of Object.entries(configs)) {
+      const current = outputs.get(outputKey);
+      if (current && (!config?.enabled || prepared.some((entry) => entry.outputKey === outputKey))) {
+        senderNames(current).forEach((name) => retiringNames.add(name));
+      }
+    }
+    const starting = prepared.filter(({ handle }) => !senderNames(handle).some((name) => retiringNames.has(name)));
+    for (const { outputKey, handle } of starting) {
+      startOutputSender(outputKey, handle);
+    }
+    const ready = await Promise.all(starting.map(({ handle }) => handle.sender.whenReady(readyTimeoutMs)));
+    starting.forEach(({ outputKey, handle }, i) => {
+      if (ready[i]) return;
+      results[outputKey] = { ok: false, action: 'failed', error: handle.sender.failed || 'NDI sender not ready' };
+      failed = true;
+    });
+  }
+
+  if (failed) {
+    await Promise.all(prepared.map(({ outputKey, handle }) => destroyOutputHandle(outputKey, handle, { reportCleared: false })));
+    for (const outputKey of Object.keys(configs)) {
+      if (results[outputKey]?.action !== 'failed') {
+        results[outputKey] = { ok: false, action: 'rolled_back' };
+      }
+    }
+    const failedKeys = Object.keys(results).filter((key) => results[key].action === 'failed');
+    log.warn(`Output transaction rolled back (failed: ${failedKeys.join(', ')})`);
+    return { ok: false, results };
+  }
+
+  for (const [outputKey, handle, update] of liveUpdates) {
+    applyLiveConfig(outputKey, handle, update);
+  }
+  const retired = [];
+  for (const { outputKey, handle, action } of prepared) {
+    const current = outputs.get(outputKey);
+    // The replacement takes over the output's receivers and tally.
+    if (current) retired.push(destroyOutputHandle(outputKey, current, { reportCleared: false }));
+    outputs.set(outputKey, handle);
+    results[outputKey] = { ok: true, action };
+  }
+  for (const [outputKey, config] of Object.entries(configs)) {
+    const current = outputs.get(outputKey);
+    if (!config?.enabled && current) {
+      log.info(`Disabling ${outputKey}`, { output: outputKey });
+      outputs.delete(outputKey);
+      retired.push(destroyOutputHandle(outputKey, current));
+    }
+  }
+  notifyConfigsChanged();
+  await Promise.all(retired);
+  for (const { outputKey, handle } of prepared) {
+    if (!handle.sender && !handle.closing) startOutputSender(outputKey, handle);
+  }
+  return { ok: true, results };
+}
+
+/**
+ * Read the output's sender state, combining fill and key sources into one
+ * connection count and tally.
+ */
+function readSenderState(handle) {
+  const senderState = handle.sender?.getRuntimeState?.() || {
+    connections: 0,
+    sourceName: handle.sourceName,
+    tally: { onProgram: false, onPreview: false },
+  };
+  const keySenderState = handle.sender?.getKeyRuntimeState?.() || null;
+  return {
+    senderState,
+    keySenderState,
+    connections: senderState.connections + (keySenderState?.connections || 0),
+    tally: {
+      onProgram: senderState.tally.onProgram || Boolean(keySenderState?.tally.onProgram),
+      onPreview: senderState.tally.onPreview || Boolean(keySenderState?.tally.onPreview),
+    },
+  };
+}
+
+/**
+ * Subscribe to output events (`tally_changed`, `receivers_changed`,
+ * `renderer_recovering`, `renderer_recovered`, `slate_changed`).
+ *
+ * @param {(event: { event: string, output: string } & object) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onOutputEvent(listener) {
+  outputEventListeners.add(listener);
+  return () => outputEventListeners.delete(listener);
+}
+
+function emitOutputEvent(event, outputKey, details) {
+  const payload = { event, output: outputKey, ts: Date.now(), ...details };
+  for (const listener of outputEventListeners) {
+    try {
+      listener(payload);
+    } catch (err) {
+      log.error('Output event listener failed', { error: err });
+    }
+  }
+}
+
+/**
+ * Compare the sender's tally and receiver count with the last reported
+ * values and emit an event for each that changed.
+ */
+function reportRuntimeChanges(outputKey, handle, { connections, tally }) {
+  const previous = handle.reportedRuntime;
+  handle.reportedRuntime = { connections, tally };
+
+  if (tally.onProgram !== previous.tally.onProgram || tally.onPreview !== previous.tally.onPreview) {
+    emitOutputEvent('tally_changed', outputKey, { tally, previous: previous.tally });
+  }
+  if (connections !== previous.connections) {
+    emitOutputEvent('receivers_changed', outputKey, { connections, previous: previous.connections });
+  }
+}
+
+/**
+ * Publish an XML metadata frame on an enabled output's NDI source.
+ *
+ * @param {string} outputKey
+ * @param {string} xml
+ * @returns {boolean} false when the output is not enabled
+ */
+export function setOutputMetadata(outputKey, xml) {
+  const handle = outputs.get(outputKey);
+  if (!handle || handle.closing) return false;
+  handle.metadataXml = xml;
+  // A sender still waiting on the one it replaces picks the metadata up when it starts.
+  return handle.sender ? handle.sender.sendMetadata(xml) : true;
+}
+
+/**
+ * Replace the burn-in overlays on an enabled output.
+ *
+ * @param {string} outputKey
+ * @param {Partial<import('./overlays.js').OverlayConfig>} overlays  Omitted overlays are turned off
+ * @returns {boolean} false when the output is not enabled
+ * @throws {Error} when the watermark image cannot be loaded
+ */
+export function setOutputOverlays(outputKey, overlays) {
+  const handle = outputs.get(outputKey);
+  if (!handle || handle.closing) return false;
+  const previous = handle.overlays;
+  handle.overlays = normalizeOverlays(overlays);
+  // A sender still waiting on the one it replaces picks the overlays up when it starts.
+  if (!handle.sender) return true;
+  try {
+    sendOverlays(outputKey, handle);
+  } catch (err) {
+    handle.overlays = previous;
+    throw err;
   }
   return true;
 }
 
+function sendOverlays(outputKey, handle) {
+  const { overlays } = handle;
+  handle.sender.setOverlays(hasOverlays(overlays) ? overlays : null, {
+    label: `${outputKey} - ${handle.sourceName}`,
+    watermark: overlays.watermark ? loadWatermark(overlays.watermark, handle.width) : null,
+  });
+}
+
+/**
+ * Read a watermark image and scale it to its share of the frame width.
+ */
+function loadWatermark({ path, scale }, frameWidth) {
+  const image = nativeImage.createFromPath(path);
+  if (image.isEmpty()) {
+    throw new Error(`could not load watermark image: ${path}`);
+  }
+  const resized = image.resize({ width: Math.max(1, Math.round(frameWidth * scale)), quality: 'best' });
+  const { width, height } = resized.getSize();
+  return { width, height, data: new Uint8Array(resized.toBitmap()) };
+}
+
 /**
  * Compute frame-time statistics from the ring buffer.
  */
@@ -386,7 +1257,8 @@ function computeSendStats(handle) {
   const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
   const sorted = [...samples].sort((a, b) => a - b);
   const p95Idx = Math.min(Math.floor(sorted.length * 0.95), sorted.length - 1);
-  const targetFrameMs = 1000 / handle.framerate;
+  const { numerator, denominator } = handle.framerateRatio;
+  const targetFrameMs = (1000 * denominator) / numerator;
   const avgJitterMs = samples.reduce(
     (total, sample) => total + Math.abs(sample - targetFrameMs),
     0
@@ -423,6 +1295,7 @@ export function getOutputStats() {
   let maxP95SendMs = 0;
   let totalPaintCount = 0;
   let totalSendCount = 0;
+  let totalRendererRecoveries = 0;
 
   const perOutput = {};
   const backendState = getNdiBackendState();
@@ -435,24 +1308,22 @@ export function getOutputStats() {
   for (const [key, handle] of outputs) {
     const frameStats = computeFrameStats(handle);
     const sendStats = computeSendStats(handle);
-    const senderState = handle.sender?.getRuntimeState?.() || {
-      connections: 0,
-      sourceName: handle.sourceName,
-      tally: { onProgram: false, onPreview: false },
-    };
-    const idleThresholdMs = Math.max(1000, (1000 / handle.framerate) * 4);
-    const isActivelyPainting = handle.lastPaintTs > 0 && Date.now() - handle.lastPaintTs <= idleThresholdMs;
+    const { senderState, keySenderState, connections, tally } = readSenderState(handle);
+    const recoveryStats = handle.watchdog.getStats();
+    // The cadence keeps sending once the first frame has been painted.
+    const hasFrame = handle.lastPaintTs > 0;
 
     totalFramesSent += handle.framesSent;
     totalFramesDropped += handle.framesDropped;
     totalFramesRepeated += handle.framesRepeated;
     totalFramesCoalesced += handle.framesCoalesced;
     totalNdiSendFailures += handle.ndiSendFailures;
-    totalConnections += senderState.connections;
-    if (senderState.tally.onProgram) totalProgramTallySources++;
-    if (senderState.tally.onPreview) totalPreviewTallySources++;
+    totalConnections += connections;
+    if (tally.onProgram) totalProgramTallySources++;
+    if (tally.onPreview) totalPreviewTallySources++;
     totalPaintCount += handle.paintCount;
     totalSendCount += handle.sendCount;
+    totalRendererRecoveries += recoveryStats.renderer_reloads + recoveryStats.renderer_rebuilds;
 
     weightedAvgFrameMs += frameStats.avg_frame_ms * handle.paintCount;
     weightedRenderFps += frameStats.render_fps * handle.paintCount;
@@ -469,17 +1340,26 @@ export function getOutputStats() {
     if (!handle.sender?.ready) {
       warningFlags.push(`${key}:sender_not_ready`);
     }
+    if (handle.sender?.failed) {
+      warningFlags.push(`${key}:sender_failed`);
+    }
     if (!handle.pageLoaded) {
       warningFlags.push(`${key}:page_not_loaded`);
     }
-    if (isActivelyPainting && handle.lastSendTs > 0 && Date.now() - handle.lastSendTs > 5000) {
+    if (recoveryStats.renderer_recovering) {
+      warningFlags.push(`${key}:renderer_recovering`);
+    }
+    if (handle.slateActive) {
+      warningFlags.push(`${key}:slate_active`);
+    }
+    if (hasFrame && handle.lastSendTs > 0 && Date.now() - handle.lastSendTs > 5000) {
       warningFlags.push(`${key}:frames_stale`);
     }
-    if (handle.actualWidth > 0 && (handle.actualWidth !== handle.width || handle.actualHeight !== handle.height)) {
+    if (handle.actualWidth > 0 && (handle.actualWidth !== handle.renderWidth || handle.actualHeight !== handle.renderHeight)) {
       warningFlags.push(`${key}:render_size_mismatch`);
     }
-    const cadenceWarmupSamples = Math.min(handle.framerate * 3, FRAME_TIME_BUFFER_SIZE);
-    if (isActivelyPainting && handle.sendTimeIdx >= cadenceWarmupSamples && sendStats.send_fps < handle.framerate * 0.9) {
+    const cadenceWarmupSamples = Math.min(Math.ceil(handle.framerate * 3), FRAME_TIME_BUFFER_SIZE);
+    if (hasFrame && handle.sendTimeIdx >= cadenceWarmupSamples && sendStats.send_fps < handle.framerate * 0.9) {
       warningFlags.push(`${key}:send_cadence_low`);
     }
 
@@ -488,7 +1368,12 @@ export function getOutputStats() {
       sourceName: handle.sourceName,
       width: handle.width,
       height: handle.height,
+      renderWidth: handle.renderWidth,
+      renderHeight: handle.renderHeight,
+      crop: handle.crop,
+      scaleMode: handle.scaleMode,
       framerate: handle.framerate,
+      framerateRatio: `${handle.framerateRatio.numerator}/${handle.framerateRatio.denominator}`,
       framesSent: handle.framesSent,
       framesDropped: handle.framesDropped,
       framesRepeated: handle.framesRepeated,
@@ -498,12 +1383,25 @@ export function getOutputStats() {
       lastSendTs: handle.lastSendTs,
       actualWidth: handle.actualWidth,
       actualHeight: handle.actualHeight,
+      alphaMode: handle.alphaMode,
+      pixelFormat: handle.pixelFormat,
+      background: handle.background,
+      overlays: handle.overlays,
+      pipeline: handle.sender?.getStats?.() || null,
       senderReady: handle.sender?.ready || false,
-      connections: senderState.connections,
+      connections,
       actualSourceName: senderState.sourceName,
-      tally: senderState.tally,
+      tally,
+      keySource: keySenderState && {
+        senderReady: handle.sender?.ready || false,
+        connections: keySenderState.connections,
+        actualSourceName: keySenderState.sourceName,
+        tally: keySenderState.tally,
+      },
       pageLoaded: handle.pageLoaded,
       loadError: handle.loadError,
+      slateActive: handle.slateActive,
+      ...recoveryStats,
       ...frameStats,
       ...sendStats,
     };
@@ -525,6 +1423,7 @@ export function getOutputStats() {
     coalesced_frames: totalFramesCoalesced,
     ndi_send_failures: totalNdiSendFailures,
     connected_receivers: totalConnections,
+    renderer_recoveries: totalRendererRecoveries,
     program_tally_sources: totalProgramTallySources,
     preview_tally_sources: totalPreviewTallySources,
     avg_frame_ms: avgFrameMs,
@@ -546,7 +1445,7 @@ export function getOutputStats() {
   const now = Date.now();
   if (outputs.size > 0 && now - lastCadenceLogTs >= CADENCE_LOG_INTERVAL_MS) {
     lastCadenceLogTs = now;
-    console.log('[OutputManager] Cadence', JSON.stringify({
+    log.info('Cadence', { cadence: {
       renderFps: Number(renderFps.toFixed(2)),
       sendFps: Number(sendFps.toFixed(2)),
       avgSendMs: Number(avgSendMs.toFixed(2)),
@@ -558,10 +1457,11 @@ export function getOutputStats() {
       sendFailures: totalNdiSendFailures,
       warnings: warningFlags,
       outputs: Object.fromEntries(Object.entries(perOutput).map(([key, output]) => [key, {
-        target: `${output.width}x${output.height}@${output.framerate}`,
+        target: `${output.width}x${output.height}@${Number(output.framerate.toFixed(3))}`,
+        render: `${output.renderWidth}x${output.renderHeight}`,
         actual: output.actualWidth > 0 ? `${output.actualWidth}x${output.actualHeight}` : 'pending',
       }])),
-    }));
+    } });
   }
 
   return stats;
@@ -570,3 +1470,7 @@ export function getOutputStats() {
 export function isOutputEnabled(outputKey) {
   return outputs.has(outputKey);
 }
+
+export function getEnabledOutputKeys() {
+  return [...outputs.keys()];
+}
@@ -0,0 +1,131 @@
+/**
+ * Output URLs
+ *
+ * Resolves the page an output renders.  By default the output key picks a
+ * LyricDisplay route (`output1`, `stage`, `outputN`) or a built-in test
+ * pattern; a config may instead name another app `route` or a full `url`,
+ * plus `query` parameters.  Full URLs must be on the app's own origin or on
+ * an origin allowed with `--allow-origin`.
+ */
+
+import { buildTestPatternUrl, parseTestPatternKey } from './testPatterns.js';
+
+const OUTPUT_PATHS = {
+  output1: 'output1',
+  output2: 'output2',
+  stage: 'stage',
+};
+
+const ROUTE_PATTERN = /^[A-Za-z0-9._~!$&'()*+,;=:@%/-]+$/;
+
+/**
+ * @typedef {Object} OutputUrlOptions
+ * @property {string} appUrl              Base URL of the LyricDisplay backend
+ * @property {boolean} hashRouting
+ * @property {string[]} [allowedOrigins]  Origins besides the app's that `url` may use
+ * @property {{ width: number, height: number, framerate: import('./framerate.js').Framerate }} format  For test patterns
+ */
+
+/**
+ * Reduce an origin or URL to `scheme://host[:port]`.
+ *
+ * @param {string} value
+ * @returns {string|null} null when the value is not an http(s) URL
+ */
+export function normalizeOrigin(value) {
+  try {
+    const { protocol, origin } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a URL is on the app's origin or an allowed one.
+ *
+ * @param {string} url
+ * @param {{ appUrl: string, allowedOrigins?: string[] }} opts
+ */
+export function isAllowedOrigin(url, { appUrl, allowedOrigins = [] }) {
+  const origin = normalizeOrigin(url);
+  return origin !== null && (origin === normalizeOrigin(appUrl) || allowedOrigins.includes(origin));
+}
+
+function appendQuery(search, query) {
+  const params = new URLSearchParams(search);
+  for (const [name, value] of Object.entries(query || {})) {
+    params.set(name, value);
+  }
+  const text = params.toString();
+  return text ? `?${text}` : '';
+}
+
+/**
+ * Whether a route stays within the app once its percent-escapes are decoded,
+ * so `%2e%2e/` and `..%2f` cannot climb out of it either.
+ */
+function isAppPath(route) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(route);
+  } catch {
+    return false;
+  }
+  return !decoded.split(/[/\\]/).includes('..');
+}
+
+function buildAppRouteUrl(route, query, { appUrl, hashRouting }) {
+  const suffix = `${route.replace(/^\/+/, '')}${appendQuery('', query)}`;
+  return hashRouting ? `${appUrl}/#/${suffix}` : `${appUrl}/${suffix}`;
+}
+
+/**
+ * Resolve the URL an output loads.
+ *
+ * @param {string} outputKey
+ * @param {{ route?: string, url?: string, query?: Object<string, string> }} config
+ * @param {OutputUrlOptions} opts
+ * @returns {{ url: string } | { error: string, path: string }}
+ */
+export function resolveOutputUrl(outputKey, config, opts) {
+  const { route, url, query } = config || {};
+  if (route && url) {
+    return { error: 'route and url cannot both be set', path: 'url' };
+  }
+
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { error: 'must be an absolute URL', path: 'url' };
+    }
+    const origin = normalizeOrigin(url);
+    if (!origin) {
+      return { error: 'must be an http or https URL', path: 'url' };
+    }
+    if (!isAllowedOrigin(url, opts)) {
+      return { error: `origin not allowed: ${origin}`, path: 'url' };
+    }
+    parsed.search = appendQuery(parsed.search, query);
+    return { url: parsed.href };
+  }
+
+  if (route) {
+    if (!ROUTE_PATTERN.test(route) || !isAppPath(route)) {
+      return { error: 'must be a path within the app', path: 'route' };
+    }
+    return { url: buildAppRouteUrl(route, query, opts) };
+  }
+
+  const pattern = parseTestPatternKey(outputKey);
+  if (pattern) {
+    return { url: buildTestPatternUrl(pattern, opts.format) };
+  }
+  const path = OUTPUT_PATHS[outputKey] || (/^output\d+$/.test(String(outputKey)) ? outputKey : null);
+  if (!path) {
+    return { error: `unknown output key: ${outputKey}`, path: 'outputKey' };
+  }
+  return { url: buildAppRouteUrl(path, query, opts) };
+}
@@ -0,0 +1,222 @@
+/**
+ * Overlays
+ *
+ * Burn-in overlays drawn onto captured BGRA frames in the sender worker:
+ * title- and action-safe guides, a timecode and frame counter, the output
+ * key and source name, and an image watermark.  Text uses a built-in 5×7
+ * bitmap font, so nothing here depends on the page or on Chromium.
+ */
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * @typedef {Object} WatermarkConfig
+ * @property {string} path      Image file (PNG or JPEG)
+ * @property {'top-left'|'top-right'|'bottom-left'|'bottom-right'} position
+ * @property {number} opacity   0–1
+ * @property {number} scale     Watermark width as a fraction of the frame width
+ */
+
+/**
+ * @typedef {Object} OverlayConfig
+ * @property {boolean} safeAreas  Action-safe (93%) and title-safe (90%) guides
+ * @property {boolean} timecode   Time-of-day timecode
+ * @property {boolean} frameCounter  Frames sent since the overlay was enabled
+ * @property {boolean} label      Output key and source name
+ * @property {WatermarkConfig|null} watermark
+ */
+
+const BOX_ALPHA = 160;
+
+/**
+ * Fill in overlay defaults: everything off.
+ *
+ * @param {Partial<OverlayConfig>} [overlays]
+ * @returns {OverlayConfig}
+ */
+export function normalizeOverlays(overlays = {}) {
+  const watermark = overlays?.watermark?.path
+    ? {
+      path: overlays.watermark.path,
+      position: WATERMARK_POSITIONS.includes(overlays.watermark.position) ? overlays.watermark.position : 'top-right',
+      opacity: Number.isFinite(overlays.watermark.opacity) ? Math.min(1, Math.max(0, overlays.watermark.opacity)) : 0.5,
+      scale: Number.isFinite(overlays.watermark.scale) ? Math.min(1, Math.max(0.01, overlays.watermark.scale)) : 0.15,
+    }
+    : null;
+  return {
+    safeAreas: overlays?.safeAreas === true,
+    timecode: overlays?.timecode === true,
+    frameCounter: overlays?.frameCounter === true,
+    label: overlays?.label === true,
+    watermark,
+  };
+}
+
+export function hasOverlays(overlays) {
+  return Boolean(overlays && (overlays.safeAreas || overlays.timecode || overlays.frameCounter || overlays.label || overlays.watermark));
+}
+
+/**
+ * Time-of-day timecode, `HH:MM:SS:FF`, with frames counted at the rounded
+ * output framerate.
+ *
+ * @param {number} ms  Epoch milliseconds
+ * @param {number} framerate
+ */
+export function formatTimecode(ms, framerate) {
+  const fps = Math.max(1, Math.round(framerate));
+  const date = new Date(ms);
+  const frames = Math.floor((date.getMilliseconds() / 1000) * fps);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}:${pad(frames)}`;
+}
+
+// 5×7 glyphs, one 5-bit row per entry, most significant bit on the left.
+const FONT = {
+  '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+  '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+  '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+  '9': [14, 17, 17, 15, 1, 2, 12],
+  A: [14, 17, 17, 31, 17, 17, 17], B: [30, 17, 17, 30, 17, 17, 30], C: [14, 17, 16, 16, 16, 17, 14],
+  D: [28, 18, 17, 17, 17, 18, 28], E: [31, 16, 16, 30, 16, 16, 31], F: [31, 16, 16, 30, 16, 16, 16],
+  G: [14, 17, 16, 23, 17, 17, 15], H: [17, 17, 17, 31, 17, 17, 17], I: [14, 4, 4, 4, 4, 4, 14],
+  J: [7, 2, 2, 2, 2, 18, 12], K: [17, 18, 20, 24, 20, 18, 17], L: [16, 16, 16, 16, 16, 16, 31],
+  M: [17, 27, 21, 21, 17, 17, 17], N: [17, 17, 25, 21, 19, 17, 17], O: [14, 17, 17, 17, 17, 17, 14],
+  P: [30, 17, 17, 30, 16, 16, 16], Q: [14, 17, 17, 17, 21, 18, 13], R: [30, 17, 17, 30, 20, 18, 17],
+  S: [15, 16, 16, 14, 1, 1, 30], T: [31, 4, 4, 4, 4, 4, 4], U: [17, 17, 17, 17, 17, 17, 14],
+  V: [17, 17, 17, 17, 17, 10, 4], W: [17, 17, 17, 21, 21, 21, 10], X: [17, 17, 10, 4, 10, 17, 17],
+  Y: [17, 17, 17, 10, 4, 4, 4], Z: [31, 1, 2, 4, 8, 16, 31],
+  ' ': [0, 0, 0, 0, 0, 0, 0], ':': [0, 12, 12, 0, 12, 12, 0], '.': [0, 0, 0, 0, 0, 12, 12],
+  '-': [0, 0, 0, 31, 0, 0, 0], '_': [0, 0, 0, 0, 0, 0, 31], '#': [10, 10, 31, 10, 31, 10, 10],
+  '/': [0, 1, 2, 4, 8, 16, 0], '(': [2, 4, 8, 8, 8, 4, 2], ')': [8, 4, 2, 2, 2, 4, 8],
+  '?': [14, 17, 1, 2, 4, 0, 4],
+};
+
+function blendPixel(bgra, i, b, g, r, alpha) {
+  if (alpha >= 255) {
+    bgra[i] = b;
+    bgra[i + 1] = g;
+    bgra[i + 2] = r;
+    bgra[i + 3] = 255;
+    return;
+  }
+  const inverse = 255 - alpha;
+  bgra[i] = (b * alpha + bgra[i] * inverse) / 255 | 0;
+  bgra[i + 1] = (g * alpha + bgra[i + 1] * inverse) / 255 | 0;
+  bgra[i + 2] = (r * alpha + bgra[i + 2] * inverse) / 255 | 0;
+  bgra[i + 3] = alpha + (bgra[i + 3] * inverse) / 255 | 0;
+}
+
+export function fillRect(bgra, width, height, x, y, w, h, [b, g, r], alpha = 255) {
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(width, Math.round(x + w));
+  const y1 = Math.min(height, Math.round(y + h));
+  for (let row = y0; row < y1; row++) {
+    for (let col = x0, i = (row * width + x0) * 4; col < x1; col++, i += 4) {
+      blendPixel(bgra, i, b, g, r, alpha);
+    }
+  }
+}
+
+export function strokeRect(bgra, width, height, x, y, w, h, thickness, color) {
+  fillRect(bgra, width, height, x, y, w, thickness, color);
+  fillRect(bgra, width, height, x, y + h - thickness, w, thickness, color);
+  fillRect(bgra, width, height, x, y, thickness, h, color);
+  fillRect(bgra, width, height, x + w - thickness, y, thickness, h, color);
+}
+
+export function measureText(text, scale) {
+  return text.length * 6 * scale - scale;
+}
+
+/**
+ * Draw text in the bitmap font on a translucent box.  Characters without a
+ * glyph draw as `?`.
+ */
+export function drawText(bgra, width, height, text, x, y, scale) {
+  const pad = 2 * scale;
+  fillRect(bgra, width, height, x - pad, y - pad, measureText(text, scale) + 2 * pad, 7 * scale + 2 * pad, [0, 0, 0], BOX_ALPHA);
+  let cursor = x;
+  for (const char of text.toUpperCase()) {
+    const glyph = FONT[char] || FONT['?'];
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (glyph[row] & (16 >> col)) {
+          fillRect(bgra, width, height, cursor + col * scale, y + row * scale, scale, scale, [255, 255, 255]);
+        }
+      }
+    }
+    cursor += 6 * scale;
+  }
+}
+
+/**
+ * Composite a premultiplied BGRA image over the frame at a given opacity.
+ */
+function drawImage(bgra, width, height, image, x, y, opacity) {
+  const alpha = Math.round(opacity * 255);
+  for (let row = 0; row < image.height; row++) {
+    const ty = y + row;
+    if (ty < 0 || ty >= height) continue;
+    for (let col = 0; col < image.width; col++) {
+      const tx = x + col;
+      if (tx < 0 || tx >= width) continue;
+      const s = (row * image.width + col) * 4;
+      const d = (ty * width + tx) * 4;
+      const a = (image.data[s + 3] * alpha) / 255;
+      const inverse = 1 - a / 255;
+      bgra[d] = Math.min(255, (image.data[s] * alpha) / 255 + bgra[d] * inverse) | 0;
+      bgra[d + 1] = Math.min(255, (image.data[s + 1] * alpha) / 255 + bgra[d + 1] * inverse) | 0;
+      bgra[d + 2] = Math.min(255, (image.data[s + 2] * alpha) / 255 + bgra[d + 2] * inverse) | 0;
+      bgra[d + 3] = Math.min(255, a + bgra[d + 3] * inverse) | 0;
+    }
+  }
+}
+
+/**
+ * Draw the enabled overlays onto a BGRA frame in place.
+ *
+ * @param {Uint8Array} bgra
+ * @param {number} width
+ * @param {number} height
+ * @param {OverlayConfig} overlays
+ * @param {object} context
+ * @param {string} context.label        Output key and source name
+ * @param {string} context.timecode
+ * @param {number} context.frame        Frames sent since the overlays were set
+ * @param {{ width: number, height: number, data: Uint8Array }|null} [context.watermark]  Scaled watermark pixels
+ */
+export function drawOverlays(bgra, width, height, overlays, context) {
+  const scale = Math.max(1, Math.round(height / 270));
+  const margin = Math.round(height * 0.05);
+
+  if (overlays.safeAreas) {
+    const thickness = Math.max(1, scale >> 1);
+    for (const [fraction, color] of [[0.93, [0, 192, 0]], [0.9, [0, 192, 192]]]) {
+      const w = Math.round(width * fraction);
+      const h = Math.round(height * fraction);
+      strokeRect(bgra, width, height, (width - w) >> 1, (height - h) >> 1, w, h, thickness, color);
+    }
+  }
+
+  if (overlays.watermark && context.watermark) {
+    const image = context.watermark;
+    const { position, opacity } = overlays.watermark;
+    const x = position.endsWith('left') ? margin : width - margin - image.width;
+    const y = position.startsWith('top') ? margin : height - margin - image.height;
+    drawImage(bgra, width, height, image, x, y, opacity);
+  }
+
+  if (overlays.label) {
+    drawText(bgra, width, height, context.label, margin, margin, scale);
+  }
+  const bottom = height - margin - 7 * scale;
+  if (overlays.timecode) {
+    drawText(bgra, width, height, context.timecode, margin, bottom, scale);
+  }
+  if (overlays.frameCounter) {
+    const text = `#${context.frame}`;
+    drawText(bgra, width, height, text, width - margin - measureText(text, scale), bottom, scale);
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Prometheus Metrics
+ *
+ * Renders the `getOutputStats()` payload in the Prometheus text exposition
+ * format.  Per-output series carry an `output` label; warning flags become
+ * a gauge labelled by flag (and output, for per-output flags).
+ */
+
+const PREFIX = 'lyricdisplay_ndi_';
+
+/** Per-output series: [metric name, type, help, read(outputStats)]. */
+const OUTPUT_METRICS = [
+  ['render_fps', 'gauge', 'Frames painted per second by the output page', (o) => o.render_fps],
+  ['send_fps', 'gauge', 'Frames sent per second over NDI', (o) => o.send_fps],
+  ['frame_interval_avg_seconds', 'gauge', 'Average time between painted frames', (o) => o.avg_frame_ms / 1000],
+  ['frame_interval_p95_seconds', 'gauge', '95th percentile time between painted frames', (o) => o.p95_frame_ms / 1000],
+  ['send_interval_avg_seconds', 'gauge', 'Average time between completed NDI sends', (o) => o.avg_send_ms / 1000],
+  ['send_interval_p95_seconds', 'gauge', '95th percentile time between completed NDI sends', (o) => o.p95_send_ms / 1000],
+  ['send_jitter_avg_seconds', 'gauge', 'Average deviation of the send interval from the target frame time', (o) => o.avg_send_jitter_ms / 1000],
+  ['frames_sent_total', 'counter', 'Frames accepted by the NDI sender', (o) => o.framesSent],
+  ['frames_dropped_total', 'counter', 'Frames dropped before or during sending', (o) => o.framesDropped],
+  ['frames_repeated_total', 'counter', 'Cadence ticks that re-sent the previous frame', (o) => o.framesRepeated],
+  ['frames_coalesced_total', 'counter', 'Paints superseded by a newer paint within one tick', (o) => o.framesCoalesced],
+  ['send_failures_total', 'counter', 'NDI video() calls that failed', (o) => o.ndiSendFailures],
+  ['connections', 'gauge', 'NDI receivers connected to the output (fill and key)', (o) => o.connections],
+  ['tally_program', 'gauge', '1 when the output is on program', (o) => o.tally?.onProgram],
+  ['tally_preview', 'gauge', '1 when the output is on preview', (o) => o.tally?.onPreview],
+  ['sender_ready', 'gauge', '1 when the NDI sender is ready', (o) => o.senderReady],
+  ['page_loaded', 'gauge', '1 when the output page has loaded', (o) => o.pageLoaded],
+  ['renderer_reloads_total', 'counter', 'Page reloads started by the renderer watchdog', (o) => o.renderer_reloads],
+  ['renderer_rebuilds_total', 'counter', 'Windows rebuilt by the renderer watchdog', (o) => o.renderer_rebuilds],
+  ['renderer_recovering', 'gauge', '1 while the renderer watchdog is recovering the page', (o) => o.renderer_recovering],
+  ['slate_active', 'gauge', '1 while the output shows its slate because the backend is unreachable', (o) => o.slateActive],
+];
+
+export function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  const number = Number(value);
+  if (Number.isNaN(number)) return 'NaN';
+  if (number === Infinity) return '+Inf';
+  if (number === -Infinity) return '-Inf';
+  return String(number);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render stats as Prometheus text-format metrics.
+ *
+ * @param {object} stats  Payload from getOutputStats()
+ * @returns {string}
+ */
+export function formatPrometheusMetrics(stats) {
+  const lines = [];
+  const family = (name, type, help, samples) => {
+    lines.push(`# HELP ${PREFIX}${name} ${help}`);
+    lines.push(`# TYPE ${PREFIX}${name} ${type}`);
+    for (const [labels, value] of samples) {
+      if (value == null) continue;
+      lines.push(`${PREFIX}${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  };
+
+  const perOutput = Object.entries(stats.perOutput || {});
+  const health = stats.health || {};
+
+  family('backend_available', 'gauge', '1 when the NDI runtime loaded', [
+    [{ backend: health.ndi_backend || 'unavailable' }, health.ndi_backend != null && health.ndi_backend !== 'unavailable'],
+  ]);
+  family('outputs_enabled', 'gauge', 'Outputs currently enabled', [[{}, perOutput.length]]);
+
+  family('output_info', 'gauge', 'Configuration of each enabled output', perOutput.map(([output, o]) => [{
+    output,
+    source_name: o.sourceName,
+    width: o.width,
+    height: o.height,
+    framerate: o.framerate,
+    pixel_format: o.pixelFormat,
+    alpha_mode: o.alphaMode,
+  }, 1]));
+
+  for (const [name, type, help, read] of OUTPUT_METRICS) {
+    family(`output_${name}`, type, help, perOutput.map(([output, o]) => [{ output }, read(o)]));
+  }
+
+  const pipelineDrops = [];
+  for (const [output, o] of perOutput) {
+    if (!o.pipeline) continue;
+    for (const reason of ['busy', 'queue_full', 'not_ready', 'error']) {
+      pipelineDrops.push([{ output, reason }, o.pipeline[`dropped_${reason}`]]);
+    }
+  }
+  family('output_pipeline_dropped_frames_total', 'counter', 'Frames dropped by the sender pipeline, by reason', pipelineDrops);
+
+  family('warning', 'gauge', 'Active warning flags (1 while raised)', (health.warning_flags || []).map((flag) => {
+    const separator = flag.indexOf(':');
+    return separator >= 0
+      ? [{ output: flag.slice(0, separator), flag: flag.slice(separator + 1) }, 1]
+      : [{ output: '', flag }, 1];
+  }));
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Renderer Watchdog
+ *
+ * Recovery policy for one output's offscreen renderer.  The output manager
+ * reports load failures, crashes and hangs; the watchdog waits with
+ * exponential backoff and then asks for a page reload, or for a new window
+ * once reloads keep failing or the renderer stays unresponsive.  The NDI
+ * sender is left alone, so receivers keep the source (on its last frame)
+ * while the page recovers.
+ */
+
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30_000;
+const RELOADS_BEFORE_REBUILD = 2;
+const UNRESPONSIVE_GRACE_MS = 5000;
+/** A page that stayed loaded this long resets the backoff. */
+const STABLE_LOAD_MS = 60_000;
+
+/**
+ * @typedef {'load_failed'|'crashed'|'unresponsive'} RendererFailure
+ */
+
+/**
+ * @typedef {Object} RendererRecoveryEvent
+ * @property {'renderer_recovering'|'renderer_recovered'} event
+ * @property {RendererFailure} reason
+ * @property {'reload'|'rebuild'} [action]  Scheduled action (renderer_recovering only)
+ * @property {number} [delayMs]             Backoff before the action (renderer_recovering only)
+ * @property {number} attempt               Recoveries since the page last loaded and stayed up
+ */
+
+/**
+ * Create a watchdog.
+ *
+ * @param {object} options
+ * @param {() => void} options.reload   Reload the page in the current window
+ * @param {() => void} options.rebuild  Replace the window and load the page again
+ * @param {(event: RendererRecoveryEvent) => void} [options.onRecovery]
+ * @param {number} [options.baseDelayMs=1000]
+ * @param {number} [options.maxDelayMs=30000]
+ * @param {() => number} [options.now]  Clock in milliseconds
+ */
+export function createRendererWatchdog(options) {
+  const {
+    reload,
+    rebuild,
+    onRecovery = () => { },
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    now = () => Date.now(),
+  } = options;
+
+  let attempt = 0;
+  let reloadsSinceLoad = 0;
+  let lastLoadedAt = 0;
+  let timer = null;
+  /** @type {{ reason: RendererFailure, action: string }|null} */
+  let scheduled = null;
+  /** Reason of the failure being recovered from, until the page loads again. */
+  let failure = null;
+  let stopped = false;
+  const counts = { reloads: 0, rebuilds: 0 };
+  let lastRecoveryTs = 0;
+  let lastReason = null;
+
+  const run = () => {
+    timer = null;
+    const { action } = scheduled;
+    scheduled = null;
+    lastRecoveryTs = now();
+    if (action === 'reload') {
+      counts.reloads++;
+      reloadsSinceLoad++;
+      reload();
+    } else {
+      counts.rebuilds++;
+      reloadsSinceLoad = 0;
+      rebuild();
+    }
+  };
+
+  return {
+    /** True from a reported failure until the page loads again. */
+    get recovering() {
+      return failure !== null;
+    },
+
+    /**
+     * @param {RendererFailure} reason
+     */
+    reportFailure(reason) {
+      if (stopped || scheduled) return;
+      if (failure === null && lastLoadedAt > 0 && now() - lastLoadedAt >= STABLE_LOAD_MS) {
+        attempt = 0;
+      }
+
+      const action = reason === 'unresponsive' || reloadsSinceLoad >= RELOADS_BEFORE_REBUILD ? 'rebuild' : 'reload';
+      const backoffMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delayMs = reason === 'unresponsive' ? Math.max(UNRESPONSIVE_GRACE_MS, backoffMs) : backoffMs;
+      attempt++;
+      failure = reason;
+      lastReason = reason;
+      scheduled = { reason, action };
+      timer = setTimeout(run, delayMs);
+      onRecovery({ event: 'renderer_recovering', reason, action, delayMs, attempt });
+    },
+
+    /** The renderer answered again; drop a pending rebuild caused by the hang. */
+    reportResponsive() {
+      if (scheduled?.reason !== 'unresponsive') return;
+      clearTimeout(timer);
+      timer = null;
+      scheduled = null;
+      failure = null;
+    },
+
+    /** The page finished loading. */
+    reportLoaded() {
+      lastLoadedAt = now();
+      reloadsSinceLoad = 0;
+      if (failure !== null && !scheduled) {
+        onRecovery({ event: 'renderer_recovered', reason: failure, attempt });
+        failure = null;
+      }
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      scheduled = null;
+    },
+
+    getStats() {
+      return {
+        renderer_reloads: counts.reloads,
+        renderer_rebuilds: counts.rebuilds,
+        renderer_recovering: failure !== null,
+        last_recovery_reason: lastReason,
+        last_recovery_ts: lastRecoveryTs,
+      };
+    },
+  };
+}
@@ -0,0 +1,436 @@
+/**
+ * Sender Pipeline
+ *
+ * Main-thread half of an output's capture-to-send path.  Captured BGRA
+ * frames are copied once into a reusable shared-memory pool and handed to a
+ * dedicated sender worker (senderWorker.js) that converts and sends them.
+ * At most `queueDepth + 1` frames are outstanding in the worker; frames
+ * beyond that are dropped here and counted, as are frames the worker rejects.
+ * A multiview's frames are composed in its worker from other pipelines'
+ * captures, which stay held in their pools until the worker has read them.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { createFramePool } from './framePool.js';
+import { createLogger, writeLogEntry } from './logger.js';
+
+const log = createLogger('SenderPipeline');
+
+const DURATION_BUFFER_SIZE = 120;
+const DESTROY_GRACE_MS = 500;
+
+const idleRuntimeState = (sourceName) => ({
+  connections: 0,
+  sourceName,
+  tally: { onProgram: false, onPreview: false },
+});
+
+/**
+ * @typedef {Object} SenderPipelineOptions
+ * @property {string} label        Output key used in log messages
+ * @property {string} name         NDI source name (the fill in fill-key mode)
+ * @property {string|null} keyName NDI key source name in fill-key mode
+ * @property {number} width   Sent size; captures of another size are scaled to it
+ * @property {number} height
+ * @property {import('./framerate.js').Framerate} framerate
+ * @property {'bgra'|'uyvy'|'uyva'} pixelFormat
+ * @property {'embedded'|'fill-key'} alphaMode
+ * @property {number} [queueDepth=2]  Frames each NDI sender may hold queued or in flight
+ * @property {[number, number, number]|null} [background]  B, G, R composited behind the page; null sends alpha through
+ * @property {import('./frameScale.js').CropRect|null} [crop]  Part of each capture to send
+ * @property {'fit'|'stretch'} [scaleMode='fit']  How captures of another size reach width x height
+ */
+
+/**
+ * @typedef {Object} SharedFrame
+ * @property {number} captureId
+ * @property {SharedArrayBuffer} src  BGRA pixels in the sharing pipeline's pool
+ * @property {number} width
+ * @property {number} height
+ * @property {() => void} release  Let the sharing pipeline reuse the buffer
+ */
+
+/**
+ * Create a sender pipeline and start its worker.
+ *
+ * @param {SenderPipelineOptions} options
+ * @param {object} [callbacks]
+ * @param {(result: { accepted: boolean, repeated: boolean, reason: string|null }) => void} [callbacks.onFrameResult]
+ * @param {(now: number) => void} [callbacks.onSendComplete]  `now` is on this thread's performance clock
+ * @param {(err: Error) => void} [callbacks.onSendFailure]
+ * @param {() => void} [callbacks.onRuntimeState]  Called when the worker reports fresh connection and tally state
+ */
+export function createSenderPipeline(options, callbacks = {}) {
+  const {
+    label,
+    name,
+    keyName = null,
+    width,
+    height,
+    framerate,
+    pixelFormat,
+    alphaMode,
+    queueDepth = 2,
+    background = null,
+    crop = null,
+    scaleMode = 'fit',
+  } = options;
+
+  const pool = createFramePool();
+  const worker = new Worker(new URL('./senderWorker.js', import.meta.url), {
+    workerData: { name, keyName, width, height, framerate, pixelFormat, alphaMode, queueDepth, background, crop, scaleMode },
+  });
+  const maxOutstanding = queueDepth + 1;
+  const jobs = new Map();
+  const durations = new Array(DURATION_BUFFER_SIZE).fill(0);
+  let durationIdx = 0;
+  let nextCaptureId = 1;
+  let nextJobId = 1;
+  let current = null;
+  let fillState = null;
+  let keyState = null;
+  let destroyPromise = null;
+  let resolveDestroyed = null;
+  /** Releases for the captures a multiview compose in the worker is reading. */
+  let composeHolds = null;
+  let composeFailures = 0;
+  const readyWaiters = new Set();
+
+  const drops = { busy: 0, queue_full: 0, not_ready: 0, error: 0 };
+  let conversions = 0;
+
+  /** @type {object} */
+  const handle = {
+    name,
+    keyName,
+    pixelFormat,
+    alphaMode,
+    queueDepth,
+    ready: false,
+    failed: null,
+    closing: false,
+
+    /**
+     * Copy a captured BGRA bitmap into the pool; it becomes the frame that
+     * sendCurrent() sends until the next capture.
+     */
+    capture(bitmap, frameWidth, frameHeight) {
+      if (handle.closing) return;
+      const byteLength = frameWidth * frameHeight * 4;
+      const slot = pool.acquire({ src: byteLength });
+      bitmap.copy(slot.buffers.src, 0, 0, byteLength);
+      if (current) pool.release(current.slot);
+      current = { captureId: nextCaptureId++, slot, width: frameWidth, height: frameHeight };
+    },
+
+    /**
+     * Have the worker compose a multiview frame at the sent size from other
+     * pipelines' shared captures; it becomes the current capture like one
+     * from capture().  Each shared capture is released once the worker has
+     * read it.  Returns false, releasing them at once, while an earlier
+     * compose is still in the worker.
+     *
+     * @param {{ cells: object[], labels: boolean, tally: boolean }} layout  Resolved multiview cells and options
+     * @param {{ label: string, tally: object|null, view: object|null, frame: SharedFrame|null }[]} sources  `view` holds
+     *   the source output's background, crop, scale mode and sent size; see MultiviewFrame
+     */
+    captureMultiview(layout, sources) {
+      const releaseAll = () => {
+        for (const { frame } of sources) frame?.release();
+      };
+      if (handle.closing || composeHolds) {
+        releaseAll();
+        return false;
+      }
+      const captureId = nextCaptureId++;
+      composeHolds = releaseAll;
+      worker.postMessage({
+        type: 'compose',
+        captureId,
+        ...layout,
+        sources: sources.map(({ label, tally, view, frame }) => ({
+          label,
+          tally,
+          frame: frame && { src: frame.src, width: frame.width, height: frame.height, ...view },
+        })),
+      });
+      if (current) pool.release(current.slot);
+      current = { captureId, slot: null, width, height };
+      return true;
+    },
+
+    /**
+     * The current capture's id and size, to tell when it changes.
+     *
+     * @returns {{ captureId: number, width: number, height: number }|null}
+     */
+    getCurrentFrame() {
+      if (!current) return null;
+      return { captureId: current.captureId, width: current.width, height: current.height };
+    },
+
+    /**
+     * Hold the current capture for another pipeline's worker to read.
+     *
+     * @returns {SharedFrame|null}
+     */
+    shareCurrentFrame() {
+      if (!current?.slot || handle.closing) return null;
+      const { captureId, slot, width: frameWidth, height: frameHeight } = current;
+      pool.retain(slot);
+      let held = true;
+      return {
+        captureId,
+        src: slot.buffers.src.buffer,
+        width: frameWidth,
+        height: frameHeight,
+        release: () => {
+          if (!held) return;
+          held = false;
+          pool.release(slot);
+        },
+      };
+    },
+
+    /**
+     * Hand the current capture to the worker.  Returns false (and counts a
+     * drop) when the worker already has its bounded backlog.
+     */
+    sendCurrent({ repeated = false } = {}) {
+      if (!current || handle.closing) return false;
+      if (jobs.size >= maxOutstanding) {
+        drops.busy++;
+        return false;
+      }
+
+      const id = nextJobId++;
+      if (current.slot) pool.retain(current.slot);
+      jobs.set(id, { slot: current.slot, repeated });
+      worker.postMessage({
+        type: 'frame',
+        id,
+        captureId: current.captureId,
+        // A composed multiview frame is already in the worker.
+        src: current.slot?.buffers.src.buffer ?? null,
+        width: current.width,
+        height: current.height,
+      });
+      return true;
+    },
+
+    /**
+     * Publish an XML metadata frame on the output's source(s).  The worker
+     * keeps the latest one and re-sends it when the sender becomes ready or
+     * new receivers connect.
+     */
+    sendMetadata(xml) {
+      if (handle.closing) return false;
+      worker.postMessage({ type: 'metadata', xml: String(xml) });
+      return true;
+    },
+
+    /**
+     * Change the colour composited behind the page without recreating the
+     * sender.
+     *
+     * @param {[number, number, number]|null} color  B, G, R, or null for none
+     */
+    setBackground(color) {
+      if (handle.closing) return false;
+      worker.postMessage({ type: 'background', background: color });
+      return true;
+    },
+
+    /**
+     * Replace the burn-in overlays drawn on every frame sent.
+     *
+     * @param {import('./overlays.js').OverlayConfig|null} overlays
+     * @param {object} context
+     * @param {string} context.label  Output key and source name
+     * @param {{ width: number, height: number, data: Uint8Array }|null} context.watermark  BGRA pixels at their drawn size
+     */
+    setOverlays(overlays, { label, watermark }) {
+      if (handle.closing) return false;
+      worker.postMessage({ type: 'overlays', overlays, label, watermark });
+      return true;
+    },
+
+    /**
+     * Resolve true once the worker reports its sender(s) ready, or false when
+     * sender creation fails or `timeoutMs` passes first.
+     */
+    whenReady(timeoutMs) {
+      if (handle.ready) return Promise.resolve(true);
+      if (handle.failed || handle.closing) return Promise.resolve(false);
+      return new Promise((resolve) => {
+        const waiter = (ready) => {
+          clearTimeout(timer);
+          readyWaiters.delete(waiter);
+          resolve(ready);
+        };
+        const timer = setTimeout(() => waiter(false), timeoutMs);
+        readyWaiters.add(waiter);
+      });
+    },
+
+    getRuntimeState() {
+      return handle.ready && fillState ? fillState : idleRuntimeState(name);
+    },
+
+    getKeyRuntimeState() {
+      if (!keyName) return null;
+      return handle.ready && keyState ? keyState : idleRuntimeState(keyName);
+    },
+
+    getStats() {
+      const count = Math.min(durationIdx, DURATION_BUFFER_SIZE);
+      const samples = durations.slice(0, count);
+      const sorted = [...samples].sort((a, b) => a - b);
+      const p95Idx = Math.min(Math.floor(sorted.length * 0.95), sorted.length - 1);
+      return {
+        queue_depth: queueDepth,
+        outstanding_frames: jobs.size,
+        pooled_buffers: pool.allocated,
+        free_buffers: pool.available,
+        dropped_busy: drops.busy,
+        dropped_queue_full: drops.queue_full,
+        dropped_not_ready: drops.not_ready,
+        dropped_error: drops.error,
+        conversions,
+        avg_convert_ms: count > 0 ? samples.reduce((a, b) => a + b, 0) / count : 0,
+        p95_convert_ms: count > 0 ? sorted[p95Idx] : 0,
+      };
+    },
+
+    destroyGracefully({ timeoutMs = 1500, label: destroyLabel = label } = {}) {
+      if (destroyPromise) return destroyPromise;
+      handle.closing = true;
+      handle.ready = false;
+      settleReadyWaiters(false);
+
+      destroyPromise = new Promise((resolve) => {
+        let settled = false;
+        const finish = (forced) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          worker.terminate().catch(() => { }).finally(() => {
+            for (const job of jobs.values()) pool.release(job.slot);
+            jobs.clear();
+            if (current) pool.release(current.slot);
+            current = null;
+            composeHolds?.();
+            composeHolds = null;
+            resolve({ forced });
+          });
+        };
+        const timer = setTimeout(() => {
+          log.warn(`Worker shutdown timeout for "${destroyLabel}"`, { output: label });
+          finish(true);
+        }, timeoutMs + DESTROY_GRACE_MS);
+        resolveDestroyed = finish;
+        worker.postMessage({ type: 'destroy', timeoutMs });
+      });
+      return destroyPromise;
+    },
+  };
+
+  // The worker's first state follows sender creation, so it settles waiters either way.
+  const settleReadyWaiters = (ready) => {
+    for (const waiter of [...readyWaiters]) waiter(ready);
+  };
+
+  worker.on('message', (message) => {
+    switch (message.type) {
+      case 'state': {
+        handle.ready = message.ready && !handle.closing;
+        fillState = message.fill;
+        keyState = message.key;
+        settleReadyWaiters(handle.ready);
+        callbacks.onRuntimeState?.();
+        break;
+      }
+      case 'frame_done': {
+        const job = jobs.get(message.id);
+        if (!job) break;
+        jobs.delete(message.id);
+        pool.release(job.slot);
+
+        if (message.convertMs != null) {
+          conversions++;
+          durations[durationIdx % DURATION_BUFFER_SIZE] = message.convertMs;
+          durationIdx++;
+        }
+        if (!message.accepted) {
+          drops[message.reason in drops ? message.reason : 'error']++;
+          if (message.reason === 'error' && !message.sendFailed && drops.error <= 3) {
+            log.error(`Frame failed in worker (${label})`, { output: label, error: message.message });
+          }
+        }
+        // A failed send already reached onSendFailure, which counts it as dropped.
+        if (message.sendFailed) break;
+        callbacks.onFrameResult?.({
+          accepted: Boolean(message.accepted),
+          repeated: job.repeated,
+          reason: message.reason || null,
+        });
+        break;
+      }
+      case 'composed': {
+        composeHolds?.();
+        composeHolds = null;
+        if (message.error) {
+          composeFailures++;
+          if (composeFailures <= 3) {
+            log.error(`Multiview compose failed in worker (${label})`, { output: label, error: message.error });
+          }
+        }
+        break;
+      }
+      case 'sent': {
+        callbacks.onSendComplete?.(message.at - performance.timeOrigin);
+        break;
+      }
+      case 'send_failed': {
+        callbacks.onSendFailure?.(new Error(message.message));
+        break;
+      }
+      case 'failed': {
+        handle.failed = message.message;
+        handle.ready = false;
+        settleReadyWaiters(false);
+        log.error(`${label}: ${message.message}`, { output: label });
+        break;
+      }
+      case 'log': {
+        writeLogEntry(message.entry);
+        break;
+      }
+      case 'destroyed': {
+        resolveDestroyed?.(Boolean(message.forced));
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  worker.on('error', (err) => {
+    handle.failed = err.message;
+    handle.ready = false;
+    settleReadyWaiters(false);
+    log.error(`Worker error (${label})`, { output: label, error: err });
+  });
+
+  worker.on('exit', (code) => {
+    handle.ready = false;
+    settleReadyWaiters(false);
+    if (!handle.closing) {
+      handle.failed = handle.failed || `worker exited with code ${code}`;
+      log.error(`Worker for ${label} exited unexpectedly (code ${code})`, { output: label });
+    }
+    resolveDestroyed?.(true);
+  });
+
+  return handle;
+}
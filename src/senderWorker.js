@@ -0,0 +1,280 @@
+/**
+ * Sender Worker
+ *
+ * Worker-thread side of senderPipeline.js.  Owns one output's NDI sender
+ * (plus its key sender in fill-key mode), converts captured frames read from
+ * the shared frame pool and queues them for sending, so neither conversion
+ * nor video() calls run on the main process thread.  A multiview's worker
+ * also composes its frames from the other outputs' shared captures.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { convertFrame, frameByteLength } from './frameConvert.js';
+import { drawOverlays, formatTimecode, hasOverlays } from './overlays.js';
+import { planFrameScale, scaleFrame } from './frameScale.js';
+import { composeMultiview } from './multiview.js';
+import { createFramePool } from './framePool.js';
+import { createNdiSender, destroyNdiSender } from './ndiSender.js';
+import { framerateToNumber } from './framerate.js';
+
+const STATE_INTERVAL_MS = 250;
+
+const { name, keyName, width, height, framerate, pixelFormat, alphaMode, queueDepth } = workerData;
+/** Crop of the capture and how it is scaled to the sent size. */
+const { crop = null, scaleMode = 'fit' } = workerData;
+const pool = createFramePool();
+
+/** B, G, R composited behind the page, or null to send alpha through. */
+let background = workerData.background ?? null;
+/** Composited BGRA ahead of a UYVY conversion, allocated on first use. */
+let scratch = null;
+/** Burn-in overlays; drawn on a copy of each capture, every frame. */
+let overlays = null;
+let overlayContext = { label: '', watermark: null };
+let overlayFrame = 0;
+let overlayBuffer = null;
+/** Capture scaled to the sent size, allocated on first use. */
+let scaledBuffer = null;
+/** Newest multiview frame composed here; frame jobs without `src` send it. */
+let composed = null;
+
+/** Newest converted capture, reused while the main thread repeats it. */
+let converted = null;
+let stateTimer = null;
+let closing = false;
+/** Latest metadata frame; re-sent when receivers connect since NDI does not retain it. */
+let metadataXml = null;
+let lastConnections = 0;
+
+const post = (message) => parentPort.postMessage(message);
+const onSendFailure = (err) => post({ type: 'send_failed', message: err.message });
+
+const sender = createNdiSender(name, width, height, framerate, {
+  pixelFormat,
+  queueDepth,
+  onSendComplete: () => post({ type: 'sent', at: performance.timeOrigin + performance.now() }),
+  onSendFailure,
+});
+const keySender = sender && alphaMode === 'fill-key'
+  ? createNdiSender(keyName, width, height, framerate, { pixelFormat, queueDepth, onSendFailure })
+  : null;
+
+function sendersReady() {
+  return Boolean(sender?.ready && (alphaMode !== 'fill-key' || keySender?.ready));
+}
+
+function sendMetadata() {
+  if (metadataXml === null || !sendersReady()) return;
+  sender.sendMetadata(metadataXml);
+  keySender?.sendMetadata(metadataXml);
+}
+
+function postState() {
+  const fill = sender?.getRuntimeState() ?? null;
+  const key = keySender?.getRuntimeState() ?? null;
+  const connections = (fill?.connections || 0) + (key?.connections || 0);
+  if (connections > lastConnections) sendMetadata();
+  lastConnections = connections;
+
+  post({ type: 'state', ready: sendersReady(), fill, key });
+}
+
+if (!sender || (alphaMode === 'fill-key' && !keySender)) {
+  post({ type: 'failed', message: `could not create NDI sender "${name}"` });
+} else {
+  Promise.all([sender.createPromise, keySender?.createPromise])
+    .then(() => {
+      if (!sendersReady()) throw new Error(`could not create NDI sender "${name}"`);
+      sendMetadata();
+      postState();
+      stateTimer = setInterval(postState, STATE_INTERVAL_MS);
+    })
+    .catch((err) => {
+      if (!closing) post({ type: 'failed', message: err.message });
+    });
+}
+
+/**
+ * Queue one plane on a sender, holding its pool slot until NDI is done.
+ */
+function queuePlane(target, frame, plane, timecode) {
+  pool.retain(frame.slot);
+  const accepted = target.sendFrame(plane, frame.width, frame.height, {
+    timecode,
+    onSettled: () => pool.release(frame.slot),
+  });
+  if (!accepted) pool.release(frame.slot);
+  return accepted;
+}
+
+function handleFrame(job) {
+  const done = (result) => post({ type: 'frame_done', id: job.id, ...result });
+
+  if (!sendersReady()) {
+    done({ accepted: false, reason: 'not_ready' });
+    return;
+  }
+  // Check both queues up front so a fill never leaves without its key.
+  if (!sender.hasCapacity() || (keySender && !keySender.hasCapacity())) {
+    done({ accepted: false, reason: 'queue_full' });
+    return;
+  }
+
+  const overlaid = hasOverlays(overlays);
+  const scale = planFrameScale(job.width, job.height, crop, width, height, scaleMode);
+  // A composed frame is overwritten by the next compose, so it is never sent in place.
+  if (job.src && pixelFormat === 'bgra' && alphaMode !== 'fill-key' && !background && !overlaid && !scale) {
+    // The shared source buffer is sent as-is and stays held until NDI is done.
+    // A failed send has already been reported as send_failed.
+    const accepted = sender.sendFrame(Buffer.from(job.src), job.width, job.height, {
+      onSettled: (sent) => done(sent ? { accepted: true } : { accepted: false, reason: 'error', sendFailed: true }),
+    });
+    if (!accepted) done({ accepted: false, reason: 'queue_full' });
+    return;
+  }
+
+  let convertMs = null;
+  // Overlays change every frame, so an overlaid capture is never reused.
+  if (overlaid || !converted || converted.captureId !== job.captureId) {
+    const start = performance.now();
+    const source = prepareSource(job, scale, overlaid);
+    const planeBytes = frameByteLength(pixelFormat, source.width, source.height);
+    const slot = pool.acquire({ fill: planeBytes, key: keySender ? planeBytes : 0 });
+    if (background && pixelFormat !== 'bgra' && scratch?.length !== source.width * source.height * 4) {
+      scratch = new Uint8Array(source.width * source.height * 4);
+    }
+    convertFrame({
+      pixelFormat,
+      alphaMode,
+      width: source.width,
+      height: source.height,
+      src: source.pixels,
+      fill: slot.buffers.fill,
+      key: slot.buffers.key,
+      background,
+      scratch,
+    });
+    convertMs = performance.now() - start;
+    if (converted) pool.release(converted.slot);
+    converted = { captureId: overlaid ? null : job.captureId, slot, width: source.width, height: source.height };
+  }
+
+  const frame = converted;
+  // NDI timecodes are in 100 ns units; a shared one pairs fill and key.
+  const timecode = keySender ? BigInt(Date.now()) * 10_000n : undefined;
+  const accepted = queuePlane(sender, frame, frame.slot.buffers.fill, timecode)
+    && (!keySender || queuePlane(keySender, frame, frame.slot.buffers.key, timecode));
+  done({ accepted, reason: accepted ? null : 'queue_full', convertMs });
+}
+
+/**
+ * The BGRA pixels to convert for a capture: cropped and scaled to the sent
+ * size when the output needs it, then overlaid.
+ */
+function prepareSource(job, scale, overlaid) {
+  let source = { pixels: job.src ? new Uint8Array(job.src) : composedPixels(job.captureId), width: job.width, height: job.height };
+  if (scale) {
+    if (scaledBuffer?.length !== width * height * 4) {
+      scaledBuffer = new Uint8Array(width * height * 4);
+    }
+    source = { pixels: scaleFrame(source.pixels, job.width, scale, scaledBuffer, width, height), width, height };
+  }
+  if (overlaid) {
+    source.pixels = renderOverlays(source);
+  }
+  return source;
+}
+
+/**
+ * Compose a multiview frame from other outputs' captures, read in place
+ * from their pools.  The main thread holds those buffers until `composed`.
+ */
+function compose(message) {
+  try {
+    const byteLength = width * height * 4;
+    const pixels = composed?.pixels.length === byteLength ? composed.pixels : new Uint8Array(byteLength);
+    composed = null;
+    const sources = message.sources.map(({ label, tally, frame }) => ({
+      label,
+      tally,
+      frame: frame && { ...frame, pixels: new Uint8Array(frame.src) },
+    }));
+    composeMultiview(pixels, width, height, message.cells, sources, message);
+    composed = { captureId: message.captureId, pixels };
+    post({ type: 'composed', captureId: message.captureId });
+  } catch (err) {
+    post({ type: 'composed', captureId: message.captureId, error: err.message });
+  }
+}
+
+function composedPixels(captureId) {
+  if (composed?.captureId !== captureId) {
+    throw new Error(`multiview frame ${captureId} was not composed`);
+  }
+  return composed.pixels;
+}
+
+/**
+ * Copy a frame and draw the overlays on the copy, leaving the shared
+ * source untouched for repeats.
+ */
+function renderOverlays(source) {
+  const byteLength = source.width * source.height * 4;
+  if (overlayBuffer?.length !== byteLength) {
+    overlayBuffer = new Uint8Array(byteLength);
+  }
+  overlayBuffer.set(source.pixels.subarray(0, byteLength));
+  drawOverlays(overlayBuffer, source.width, source.height, overlays, {
+    label: overlayContext.label,
+    watermark: overlayContext.watermark,
+    timecode: formatTimecode(Date.now(), framerateToNumber(framerate)),
+    frame: overlayFrame++,
+  });
+  return overlayBuffer;
+}
+
+async function destroy(timeoutMs) {
+  closing = true;
+  if (stateTimer) clearInterval(stateTimer);
+  const results = await Promise.all([
+    destroyNdiSender(sender, { timeoutMs, label: name }),
+    destroyNdiSender(keySender, { timeoutMs, label: keyName }),
+  ]);
+  if (converted) {
+    pool.release(converted.slot);
+    converted = null;
+  }
+  post({ type: 'destroyed', forced: results.some((result) => result?.forced) });
+}
+
+parentPort.on('message', (message) => {
+  if (message.type === 'frame') {
+    try {
+      handleFrame(message);
+    } catch (err) {
+      post({ type: 'frame_done', id: message.id, accepted: false, reason: 'error', message: err.message });
+    }
+  } else if (message.type === 'compose') {
+    compose(message);
+  } else if (message.type === 'background') {
+    // Re-convert the held capture so a repeated frame picks up the change.
+    background = message.background;
+    if (converted) {
+      pool.release(converted.slot);
+      converted = null;
+    }
+  } else if (message.type === 'overlays') {
+    overlays = message.overlays;
+    overlayContext = { label: message.label, watermark: message.watermark };
+    overlayFrame = 0;
+    if (converted) {
+      pool.release(converted.slot);
+      converted = null;
+    }
+  } else if (message.type === 'metadata') {
+    metadataXml = message.xml;
+    sendMetadata();
+  } else if (message.type === 'destroy') {
+    destroy(message.timeoutMs);
+  }
+});
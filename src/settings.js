@@ -1,16 +1,37 @@
 /**
  * Persistent settings store for the NDI companion.
+ *
+ * Besides general settings it keeps the last applied output configs, so
+ * `--restore-outputs` can bring the NDI sources back after a restart.
  */
 
 import Store from 'electron-store';
+import { migrateSettings, readSavedOutputConfigs } from './settingsMigrations.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Settings');
 
 let store = null;
+/** False when the file is from a newer release; it is then left untouched. */
+let writable = false;
 
 export function initSettings() {
   store = new Store({
     name: 'ndi-companion-settings',
     defaults: {},
   });
+
+  try {
+    const migrated = migrateSettings(store.store);
+    if (migrated.schemaVersion !== store.get('schemaVersion')) {
+      log.info(`Migrated settings to schema version ${migrated.schemaVersion}`);
+      store.store = migrated;
+    }
+    writable = true;
+  } catch (err) {
+    writable = false;
+    log.warn(`Settings will not be saved: ${err.message}`);
+  }
 }
 
 export function getSetting(key, fallback) {
@@ -19,6 +40,29 @@ export function getSetting(key, fallback) {
 }
 
 export function setSetting(key, value) {
-  if (!store) return;
+  if (!store || !writable) return;
   store.set(key, value);
 }
+
+/**
+ * Save the configs of the currently enabled outputs.
+ *
+ * @param {Object<string, object>} configs  Output key → config
+ */
+export function saveOutputConfigs(configs) {
+  setSetting('outputs', configs);
+}
+
+/**
+ * Load the saved output configs, skipping entries that no longer validate.
+ *
+ * @returns {Object<string, object>} Output key → config with `enabled: true`
+ */
+export function loadOutputConfigs() {
+  if (!writable) return {};
+  const { configs, skipped } = readSavedOutputConfigs(getSetting('outputs', {}));
+  if (skipped.length > 0) {
+    log.warn(`Ignoring invalid saved outputs: ${skipped.join(', ')}`);
+  }
+  return configs;
+}
@@ -0,0 +1,58 @@
+/**
+ * Settings Migrations
+ *
+ * Versioned layout of the companion's settings file.  MIGRATIONS[n] turns a
+ * version n-1 object into version n, so files written by older releases
+ * still load after an upgrade.
+ */
+
+import { OUTPUT_CONFIG_SCHEMA, isKnownOutputKey, validateSchema } from './ipcProtocol.js';
+
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const MIGRATIONS = {
+  // Unversioned files predate saved outputs; start with an empty outputs map.
+  1: (data) => ({ ...data, outputs: isPlainObject(data.outputs) ? data.outputs : {} }),
+};
+
+/**
+ * Bring a stored settings object up to SETTINGS_SCHEMA_VERSION.
+ *
+ * @param {object} data  Raw store contents
+ * @returns {object} migrated copy with `schemaVersion` set
+ * @throws when the file was written by a newer schema version
+ */
+export function migrateSettings(data) {
+  let migrated = isPlainObject(data) ? { ...data } : {};
+  const fromVersion = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 0;
+  if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+    throw new Error(`settings schema version ${fromVersion} is newer than supported version ${SETTINGS_SCHEMA_VERSION}`);
+  }
+
+  for (let version = fromVersion + 1; version <= SETTINGS_SCHEMA_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version };
+  }
+  return migrated;
+}
+
+/**
+ * Pick the saved output configs that are still valid, keyed by output.
+ * Invalid entries are reported in `skipped` rather than thrown.
+ *
+ * @param {object} outputs  Saved `outputs` map
+ * @returns {{ configs: Object<string, object>, skipped: string[] }}
+ */
+export function readSavedOutputConfigs(outputs) {
+  const configs = {};
+  const skipped = [];
+  for (const [outputKey, config] of Object.entries(isPlainObject(outputs) ? outputs : {})) {
+    if (!isKnownOutputKey(outputKey) || validateSchema(OUTPUT_CONFIG_SCHEMA, config, outputKey)) {
+      skipped.push(outputKey);
+      continue;
+    }
+    configs[outputKey] = { ...config, enabled: true };
+  }
+  return { configs, skipped };
+}
@@ -0,0 +1,92 @@
+/**
+ * Slate
+ *
+ * Fallback page an output shows while its LyricDisplay page cannot be
+ * loaded.  The slate is a self-contained data: URL rendered by the output's
+ * own offscreen window, so it reaches NDI through the normal paint path.
+ */
+
+export const SLATE_STYLES = ['transparent', 'black', 'branded'];
+
+const MAX_SLATE_TEXT_LENGTH = 256;
+
+const SLATE_BACKGROUNDS = {
+  transparent: 'transparent',
+  black: '#000',
+  branded: 'linear-gradient(135deg, #0f172a 0%, #1e1b4b 100%)',
+};
+
+/**
+ * @typedef {Object} SlateConfig
+ * @property {boolean} enabled  Off by default; the watchdog then reloads a page that fails to load
+ * @property {'transparent'|'black'|'branded'} style
+ * @property {string} text      Optional caption; empty shows none
+ */
+
+/**
+ * Fill in slate defaults: disabled, transparent, no text.
+ *
+ * @param {Partial<SlateConfig>} [slate]
+ * @returns {SlateConfig}
+ */
+export function normalizeSlateConfig(slate = {}) {
+  return {
+    enabled: slate?.enabled === true,
+    style: SLATE_STYLES.includes(slate?.style) ? slate.style : 'transparent',
+    text: typeof slate?.text === 'string' ? slate.text.slice(0, MAX_SLATE_TEXT_LENGTH) : '',
+  };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the slate page.  The background sits on a full-size element because
+ * output windows force `html` and `body` transparent.
+ *
+ * @param {SlateConfig} slate
+ * @returns {string}
+ */
+export function buildSlateHtml(slate) {
+  const { style, text } = normalizeSlateConfig(slate);
+  const caption = text ? `<div class="text">${escapeHtml(text)}</div>` : '';
+  const wordmark = style === 'branded' ? '<div class="brand">LyricDisplay</div>' : '';
+  return [
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><style>',
+    'html,body{margin:0;height:100%;overflow:hidden}',
+    `#slate{position:fixed;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:2vh;background:${SLATE_BACKGROUNDS[style]};color:#fff;font-family:"Segoe UI",Helvetica,Arial,sans-serif;text-align:center}`,
+    '.brand{font-size:3vh;letter-spacing:.3em;text-transform:uppercase;opacity:.6}',
+    '.text{font-size:6vh;max-width:80vw;text-shadow:0 .2vh .6vh rgba(0,0,0,.6)}',
+    `</style></head><body><div id="slate">${wordmark}${caption}</div></body></html>`,
+  ].join('');
+}
+
+export function buildSlateUrl(slate) {
+  return `data:text/html;charset=utf-8,${encodeURIComponent(buildSlateHtml(slate))}`;
+}
+
+/**
+ * Check whether the LyricDisplay backend answers.  Any HTTP response below
+ * 500 counts; refused connections, timeouts and server errors do not.
+ * Redirects are not followed, so the probe never leaves the app's origin.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=2000]
+ * @param {typeof fetch} [opts.fetchImpl]
+ * @returns {Promise<boolean>}
+ */
+export async function probeAppUrl(url, { timeoutMs = 2000, fetchImpl = fetch } = {}) {
+  try {
+    const response = await fetchImpl(url, { method: 'GET', redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+    await response.body?.cancel?.();
+    return response.status < 500;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Test Patterns
+ *
+ * Locally generated line-up pages for outputs keyed `testpattern:<name>`.
+ * Like the slate, a pattern is a self-contained data: URL drawn in the
+ * output's offscreen window, so it goes out through the normal paint,
+ * cadence and sender path at the output's resolution and framerate without
+ * the LyricDisplay backend.
+ */
+
+import { describeFramerate, framerateToNumber } from './framerate.js';
+
+export const TEST_PATTERNS = ['bars', 'grid', 'clock'];
+
+const TEST_PATTERN_KEY_PATTERN = /^testpattern:([a-z]+)$/;
+
+/**
+ * Pattern name for a `testpattern:<name>` output key.
+ *
+ * @param {string} outputKey
+ * @returns {string|null} null when the key is not a known test pattern
+ */
+export function parseTestPatternKey(outputKey) {
+  const match = TEST_PATTERN_KEY_PATTERN.exec(String(outputKey));
+  const pattern = match?.[1];
+  return TEST_PATTERNS.includes(pattern) ? pattern : null;
+}
+
+// Drawn in the page.  `frame` counts output frames since the page loaded.
+const PATTERN_SCRIPT = String.raw`
+const { pattern, width, height, framerate, framerateLabel } = PARAMS;
+const canvas = document.getElementById('pattern');
+canvas.width = width;
+canvas.height = height;
+const ctx = canvas.getContext('2d');
+const unit = Math.min(width, height) / 1080;
+const BLACK = 'rgb(16,16,16)';
+
+function fill(color, x, y, w, h) {
+  ctx.fillStyle = color;
+  ctx.fillRect(Math.round(x), Math.round(y), Math.ceil(w), Math.ceil(h));
+}
+
+function drawBars() {
+  const bar = width / 7;
+  const top = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+  const mid = ['#0000c0', BLACK, '#c000c0', BLACK, '#00c0c0', BLACK, '#c0c0c0'];
+  const topH = height * 2 / 3;
+  const midH = height / 12;
+  top.forEach((color, i) => fill(color, i * bar, 0, bar, topH));
+  mid.forEach((color, i) => fill(color, i * bar, topH, bar, midH));
+  const bottom = [
+    ['#00214c', bar * 5 / 4], ['#ffffff', bar * 5 / 4], ['#32006a', bar * 5 / 4], [BLACK, bar * 5 / 4],
+    ['rgb(7,7,7)', bar / 3], [BLACK, bar / 3], ['rgb(26,26,26)', bar / 3], [BLACK, bar],
+  ];
+  let x = 0;
+  for (const [color, w] of bottom) {
+    fill(color, x, topH + midH, w, height - topH - midH);
+    x += w;
+  }
+}
+
+function drawGrid() {
+  fill('#202020', 0, 0, width, height);
+  ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+  ctx.lineWidth = Math.max(1, unit);
+  const step = width / 16;
+  ctx.beginPath();
+  for (let x = step; x < width; x += step) { ctx.moveTo(x, 0); ctx.lineTo(x, height); }
+  for (let y = height / 2 % step; y < height; y += step) { ctx.moveTo(0, y); ctx.lineTo(width, y); }
+  ctx.stroke();
+  // Action safe (93%) and title safe (90%).
+  for (const [scale, color] of [[0.93, '#00c000'], [0.9, '#c0c000']]) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(2, 2 * unit);
+    ctx.strokeRect(width * (1 - scale) / 2, height * (1 - scale) / 2, width * scale, height * scale);
+  }
+  ctx.strokeStyle = '#ffffff';
+  ctx.beginPath();
+  ctx.moveTo(width / 2 - 40 * unit, height / 2); ctx.lineTo(width / 2 + 40 * unit, height / 2);
+  ctx.moveTo(width / 2, height / 2 - 40 * unit); ctx.lineTo(width / 2, height / 2 + 40 * unit);
+  ctx.stroke();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = (36 * unit) + 'px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(width + 'x' + height + ' @ ' + framerateLabel + ' fps', width / 2, height / 2 - 80 * unit);
+}
+
+function drawClock(frame) {
+  fill('#000000', 0, 0, width, height);
+  const period = Math.max(1, Math.round(framerate * 2));
+  const x = (frame % period) / period * width;
+  fill('#ffffff', x, 0, Math.max(2, 8 * unit), height);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold ' + (200 * unit) + 'px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(frame), width / 2, height / 2);
+  ctx.font = (48 * unit) + 'px monospace';
+  ctx.fillText(new Date().toLocaleTimeString(), width / 2, height / 2 + 180 * unit);
+  ctx.textBaseline = 'alphabetic';
+}
+
+function timecode(frame) {
+  const fps = Math.round(framerate);
+  const seconds = Math.floor(frame / fps);
+  const pad = (n) => String(n).padStart(2, '0');
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60, frame % fps].map(pad).join(':');
+}
+
+function drawCounter(frame) {
+  const label = timecode(frame) + '  #' + frame;
+  ctx.font = (32 * unit) + 'px monospace';
+  ctx.textAlign = 'right';
+  const w = ctx.measureText(label).width + 32 * unit;
+  fill('rgba(0,0,0,0.7)', width - w - 24 * unit, height - 80 * unit, w, 56 * unit);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(label, width - 40 * unit, height - 40 * unit);
+}
+
+const start = performance.now();
+let lastFrame = -1;
+function render(now) {
+  const frame = Math.floor((now - start) * framerate / 1000);
+  if (frame !== lastFrame) {
+    lastFrame = frame;
+    if (pattern === 'bars') drawBars();
+    else if (pattern === 'grid') drawGrid();
+    else drawClock(frame);
+    if (pattern !== 'clock') drawCounter(frame);
+  }
+  requestAnimationFrame(render);
+}
+requestAnimationFrame(render);
+`;
+
+/**
+ * Build a test pattern page.
+ *
+ * @param {string} pattern  One of TEST_PATTERNS
+ * @param {{ width: number, height: number, framerate: import('./framerate.js').Framerate }} format
+ * @returns {string}
+ */
+export function buildTestPatternHtml(pattern, { width, height, framerate }) {
+  const params = JSON.stringify({
+    pattern,
+    width,
+    height,
+    framerate: framerateToNumber(framerate),
+    framerateLabel: describeFramerate(framerate),
+  });
+  return [
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><style>',
+    'html,body{margin:0;overflow:hidden}canvas{display:block;width:100vw;height:100vh}',
+    `</style></head><body><canvas id="pattern"></canvas><script>const PARAMS = ${params};${PATTERN_SCRIPT}</script></body></html>`,
+  ].join('');
+}
+
+export function buildTestPatternUrl(pattern, format) {
+  return `data:text/html;charset=utf-8,${encodeURIComponent(buildTestPatternHtml(pattern, format))}`;
+}
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { backgroundCss, backgroundToBgr, normalizeBackground } from '../src/background.js';
+import { validateIpcCommand } from '../src/ipcProtocol.js';
+
+test('backgrounds normalize to transparent, a chroma key or a hex colour', () => {
+  assert.equal(normalizeBackground(), 'transparent');
+  assert.equal(normalizeBackground('Chroma-Green'), 'chroma-green');
+  assert.equal(normalizeBackground('#FF8000'), '#ff8000');
+  assert.equal(normalizeBackground('red'), 'transparent');
+});
+
+test('backgrounds map to page CSS and a frame colour', () => {
+  assert.equal(backgroundCss('transparent'), 'html, body, #root { background: transparent !important; }');
+  assert.equal(backgroundCss('chroma-blue'), 'html, body, #root { background: #0047bb !important; }');
+  assert.equal(backgroundToBgr('transparent'), null);
+  assert.deepEqual(backgroundToBgr('#ff8000'), [0x00, 0x80, 0xff]);
+  assert.deepEqual(backgroundToBgr('chroma-green'), [0x40, 0xb1, 0x00]);
+});
+
+test('output configs reject unknown backgrounds', () => {
+  assert.equal(validateIpcCommand({ type: 'update_output', output: 'stage', payload: { background: '#000000' } }), null);
+  assert.deepEqual(validateIpcCommand({ type: 'update_output', output: 'stage', payload: { background: 'green' } }), {
+    code: 'E_INVALID_PAYLOAD',
+    path: 'payload.background',
+    message: 'payload.background: must be transparent, chroma-green, chroma-blue or a #rrggbb colour',
+  });
+});
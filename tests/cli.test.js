@@ -16,6 +16,48 @@ test('parses managed user-data paths in both Electron argument forms', () => {
   assert.equal(parseArgs(['companion', '--user-data-dir=C:/managed/data']).userDataDir, 'C:/managed/data');
 });
 
+test('parses the optional WebSocket listener flags', () => {
+  const args = parseArgs(['electron', '.', '--ws-port', '9138', '--ws-host', '0.0.0.0']);
+  assert.equal(args.wsPort, 9138);
+  assert.equal(args.wsHost, '0.0.0.0');
+  assert.equal(parseArgs(['electron', '.', '--ws-port', '80']).wsPort, 0);
+});
+
+test('parses the optional HTTP API flags', () => {
+  const args = parseArgs(['electron', '.', '--http-port', '9180', '--http-host', '0.0.0.0']);
+  assert.equal(args.httpPort, 9180);
+  assert.equal(args.httpHost, '0.0.0.0');
+  assert.equal(parseArgs(['electron', '.', '--http-port', 'x']).httpPort, 0);
+});
+
+test('parses a local IPC socket path', () => {
+  assert.equal(parseArgs(['electron', '.', '--ipc-socket', '/run/lyricdisplay-ndi.sock']).ipcSocket, '/run/lyricdisplay-ndi.sock');
+  assert.equal(parseArgs(['electron', '.']).ipcSocket, '');
+});
+
+test('parses the log level and ignores unknown levels', () => {
+  assert.equal(parseArgs(['electron', '.']).logLevel, 'info');
+  assert.equal(parseArgs(['electron', '.', '--log-level', 'debug']).logLevel, 'debug');
+  assert.equal(parseArgs(['electron', '.', '--log-level', 'loud']).logLevel, 'info');
+});
+
+test('collects allowed origins from repeated and comma-separated flags', () => {
+  assert.deepEqual(parseArgs(['electron', '.']).allowedOrigins, []);
+  assert.deepEqual(
+    parseArgs(['electron', '.', '--allow-origin', 'https://a.example.com/x,nope', '--allow-origin', 'http://b.local:8080']).allowedOrigins,
+    ['https://a.example.com', 'http://b.local:8080']
+  );
+  assert.deepEqual(
+    parseArgs(['electron', '.', '--allow-origin', 'https://c.example.com'], { allowedOrigins: ['https://a.example.com'] }).allowedOrigins,
+    ['https://c.example.com']
+  );
+});
+
+test('output restore is opt-in', () => {
+  assert.equal(parseArgs(['electron', '.']).restoreOutputs, false);
+  assert.equal(parseArgs(['electron', '.', '--restore-outputs']).restoreOutputs, true);
+});
+
 test('uses the managed environment path when Electron omits its command-line switch', () => {
   const requestedPath = path.join(os.tmpdir(), 'lyricdisplay-managed-ndi-data');
   assert.equal(
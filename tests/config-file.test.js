@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { parseArgs } from '../src/cli.js';
+import {
+  configToArgs,
+  diffConfigOutputs,
+  enabledConfigOutputs,
+  parseConfigFile,
+  watchConfigFile,
+} from '../src/configFile.js';
+
+const sampleConfig = {
+  appUrl: 'http://10.0.0.5:4000',
+  ipc: { port: 9200, authToken: 'secret' },
+  outputs: {
+    output1: { resolution: '720p', framerate: 50, sourceName: 'Lyrics' },
+    stage: { enabled: false },
+  },
+};
+
+test('config files are validated with the offending field named', () => {
+  assert.deepEqual(parseConfigFile(JSON.stringify(sampleConfig)), sampleConfig);
+  assert.throws(() => parseConfigFile('{ "appUrl": '), /invalid JSON/);
+  assert.throws(
+    () => parseConfigFile(JSON.stringify({ outputs: { output1: { resolution: '8k' } } })),
+    /config\.outputs\.output1\.resolution/
+  );
+  assert.throws(() => parseConfigFile(JSON.stringify({ ipc: { port: 80 } })), /config\.ipc\.port/);
+});
+
+test('config file settings are defaults that command-line flags override', () => {
+  const defaults = configToArgs(sampleConfig);
+  const args = parseArgs(['electron', '.', '--config', 'show.json', '--port', '9300'], defaults);
+  assert.equal(args.configPath, 'show.json');
+  assert.equal(args.appUrl, 'http://10.0.0.5:4000');
+  assert.equal(args.authToken, 'secret');
+  assert.equal(args.port, 9300);
+  assert.deepEqual(
+    configToArgs({ allowedOrigins: ['https://overlays.example.com/', 'not a url'] }).allowedOrigins,
+    ['https://overlays.example.com']
+  );
+});
+
+test('only outputs not marked disabled are brought up', () => {
+  assert.deepEqual(Object.keys(enabledConfigOutputs(sampleConfig)), ['output1']);
+});
+
+test('config edits are split into enables, updates and disables', () => {
+  const next = {
+    outputs: {
+      output1: { resolution: '1080p', framerate: 50, sourceName: 'Lyrics' },
+      stage: { sourceName: 'Stage' },
+    },
+  };
+  assert.deepEqual(diffConfigOutputs(sampleConfig, next), { enable: ['stage'], update: ['output1'], disable: [] });
+  assert.deepEqual(diffConfigOutputs(next, { outputs: {} }), { enable: [], update: [], disable: ['output1', 'stage'] });
+  assert.deepEqual(diffConfigOutputs(sampleConfig, sampleConfig), { enable: [], update: [], disable: [] });
+});
+
+test('watching reports valid edits and skips invalid ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndi-config-'));
+  const filePath = path.join(dir, 'companion.json');
+  fs.writeFileSync(filePath, JSON.stringify(sampleConfig));
+
+  const changes = [];
+  const errors = [];
+  const stop = watchConfigFile(filePath, (config) => changes.push(config), (err) => errors.push(err));
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 400));
+
+  try {
+    fs.writeFileSync(filePath, '{ not json');
+    await settle();
+    fs.writeFileSync(filePath, JSON.stringify({ outputs: { output2: {} } }));
+    await settle();
+  } finally {
+    stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.equal(errors.length, 1);
+  assert.deepEqual(changes, [{ outputs: { output2: {} } }]);
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import test, { mock } from 'node:test';
+import { createFrameCadence } from '../src/frameCadence.js';
+
+function withFakeClock(run) {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  let clock = 0;
+  const advance = (ms) => {
+    for (let i = 0; i < ms; i++) {
+      clock += 1;
+      mock.timers.tick(1);
+    }
+  };
+  try {
+    run({ now: () => clock, advance });
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+test('frame cadence repeats the last frame when nothing new was submitted', () => {
+  withFakeClock(({ now, advance }) => {
+    const ticks = [];
+    const cadence = createFrameCadence(50, (frame, tick) => ticks.push({ frame, ...tick }), { now });
+    cadence.start();
+
+    advance(20);
+    assert.equal(ticks.length, 0);
+
+    cadence.submit('a');
+    advance(60);
+    cadence.stop();
+
+    assert.deepEqual(ticks, [
+      { frame: 'a', fresh: true, coalesced: 0 },
+      { frame: 'a', fresh: false, coalesced: 0 },
+      { frame: 'a', fresh: false, coalesced: 0 },
+    ]);
+  });
+});
+
+test('frame cadence keeps only the newest frame submitted within one tick', () => {
+  withFakeClock(({ now, advance }) => {
+    const ticks = [];
+    const cadence = createFrameCadence(25, (frame, tick) => ticks.push({ frame, ...tick }), { now });
+    cadence.start();
+
+    cadence.submit('a');
+    cadence.submit('b');
+    cadence.submit('c');
+    advance(40);
+    cadence.stop();
+
+    assert.deepEqual(ticks, [{ frame: 'c', fresh: true, coalesced: 2 }]);
+  });
+});
+
+test('stopped frame cadence stops ticking and drops held frames', () => {
+  withFakeClock(({ now, advance }) => {
+    let tickCount = 0;
+    const cadence = createFrameCadence(100, () => { tickCount++; }, { now });
+    cadence.start();
+    cadence.submit('a');
+    advance(10);
+    cadence.stop();
+    advance(50);
+
+    assert.equal(tickCount, 1);
+    assert.equal(cadence.running, false);
+  });
+});
+
+test('frame cadence keeps fractional broadcast rates without drifting to whole ones', () => {
+  withFakeClock(({ now, advance }) => {
+    let tickCount = 0;
+    const cadence = createFrameCadence(60000 / 1001, () => { tickCount++; }, { now });
+    cadence.submit('a');
+    cadence.start();
+    advance(20_021);
+    cadence.stop();
+
+    // 60 fps would have ticked 1201 times in the same 20.02 s.
+    assert.equal(tickCount, 1200);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  bgraToUyva,
+  bgraToUyvy,
+  compositeBackground,
+  convertFrame,
+  frameByteLength,
+  splitFillKey,
+} from '../src/frameConvert.js';
+
+test('fill/key split makes the fill opaque and carries alpha as key luma', () => {
+  const bgra = Uint8Array.from([10, 20, 30, 0, 40, 50, 60, 128, 70, 80, 90, 255]);
+  const fill = new Uint8Array(bgra.length);
+  const key = new Uint8Array(bgra.length);
+
+  splitFillKey(bgra, fill, key);
+
+  assert.deepEqual([...fill], [10, 20, 30, 255, 40, 50, 60, 255, 70, 80, 90, 255]);
+  assert.deepEqual([...key], [0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255]);
+});
+
+test('BGRA to UYVY uses BT.709 limited range with shared chroma per pixel pair', () => {
+  const bgra = Uint8Array.from([255, 255, 255, 255, 0, 0, 0, 255]);
+  const uyvy = new Uint8Array(frameByteLength('uyvy', 2, 1));
+
+  bgraToUyvy(bgra, 2, 1, uyvy);
+
+  assert.deepEqual([...uyvy], [128, 235, 128, 16]);
+});
+
+test('BGRA to UYVA appends a full-resolution alpha plane', () => {
+  const bgra = Uint8Array.from([0, 0, 0, 0, 0, 0, 0, 200]);
+  const uyva = new Uint8Array(frameByteLength('uyva', 2, 1));
+
+  bgraToUyva(bgra, 2, 1, uyva);
+
+  assert.deepEqual([...uyva.subarray(4)], [0, 200]);
+});
+
+test('UYVY fill/key conversion writes alpha as limited-range key luma', () => {
+  const bgra = Uint8Array.from([0, 0, 255, 0, 0, 0, 255, 255]);
+  const fill = new Uint8Array(4);
+  const key = new Uint8Array(4);
+
+  convertFrame({ pixelFormat: 'uyvy', alphaMode: 'fill-key', width: 2, height: 1, src: bgra, fill, key });
+
+  assert.deepEqual([...key], [128, 16, 128, 235]);
+  assert.equal(fill[1], 63);
+});
+
+test('backgrounds are composited behind premultiplied pixels', () => {
+  // Transparent, half-covered premultiplied red, opaque blue.
+  const bgra = Uint8Array.from([0, 0, 0, 0, 0, 0, 128, 128, 255, 0, 0, 255]);
+  const green = [64, 177, 0];
+
+  assert.deepEqual([...compositeBackground(bgra, green, new Uint8Array(12))], [
+    64, 177, 0, 255,
+    32, 88, 128, 255,
+    255, 0, 0, 255,
+  ]);
+
+  const fill = new Uint8Array(12);
+  const key = new Uint8Array(12);
+  convertFrame({ pixelFormat: 'bgra', alphaMode: 'fill-key', width: 3, height: 1, src: bgra, fill, key, background: green });
+  assert.deepEqual([...fill.subarray(0, 4)], [64, 177, 0, 255]);
+  assert.deepEqual([...key.subarray(4, 8)], [128, 128, 128, 255]);
+
+  const uyvy = new Uint8Array(6);
+  convertFrame({
+    pixelFormat: 'uyvy', alphaMode: 'embedded', width: 3, height: 1, src: bgra, fill: uyvy, key: null,
+    background: green, scratch: new Uint8Array(12),
+  });
+  assert.deepEqual([...bgra.subarray(0, 4)], [0, 0, 0, 0]);
+  assert.notEqual(uyvy[1], 16);
+});
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createFramePool } from '../src/framePool.js';
+
+test('frame pool reuses a slot only after every holder releases it', () => {
+  const pool = createFramePool();
+  const first = pool.acquire({ src: 16, fill: 8 });
+  pool.retain(first);
+
+  pool.release(first);
+  assert.notEqual(pool.acquire({ src: 16, fill: 8 }), first);
+
+  pool.release(first);
+  assert.equal(pool.available, 1);
+  assert.equal(pool.acquire({ src: 16, fill: 8 }), first);
+  assert.equal(pool.available, 0);
+  assert.equal(pool.allocated, 2);
+});
+
+test('frame pool backs planes with shared memory and skips empty planes', () => {
+  const slot = createFramePool().acquire({ src: 16, key: 0 });
+
+  assert.ok(slot.buffers.src.buffer instanceof SharedArrayBuffer);
+  assert.equal(slot.buffers.key, null);
+});
+
+test('frame pool drops slots from an earlier layout', () => {
+  const pool = createFramePool();
+  const small = pool.acquire({ src: 16 });
+  const large = pool.acquire({ src: 32 });
+  pool.release(small);
+
+  assert.notEqual(pool.acquire({ src: 32 }), small);
+  assert.equal(large.buffers.src.length, 32);
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  checkFrameGeometry,
+  normalizeFrameGeometry,
+  pickFrameGeometry,
+  planFrameScale,
+  scaleFrame,
+} from '../src/frameScale.js';
+import { validateIpcCommand } from '../src/ipcProtocol.js';
+
+const pixelAt = (bgra, width, x, y) => [...bgra.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+test('frame geometry defaults to rendering at the sent size without a crop', () => {
+  assert.deepEqual(normalizeFrameGeometry({}, 1920, 1080), {
+    renderWidth: 1920,
+    renderHeight: 1080,
+    crop: null,
+    scaleMode: 'fit',
+  });
+  assert.deepEqual(pickFrameGeometry({ resolution: '1080p', renderWidth: 3840, scaleMode: 'stretch' }), {
+    renderWidth: 3840,
+    scaleMode: 'stretch',
+  });
+});
+
+test('crops are clamped to the render and dropped when they cover it', () => {
+  const geometry = normalizeFrameGeometry({ renderWidth: 3840, crop: { x: 1920, y: 0, width: 4000, height: 1080 } }, 1920, 1080);
+  assert.deepEqual(geometry.crop, { x: 1920, y: 0, width: 1920, height: 1080 });
+  assert.equal(normalizeFrameGeometry({ crop: { x: 0, y: 0, width: 1920, height: 1080 } }, 1920, 1080).crop, null);
+});
+
+test('crop checks report a crop outside the render', () => {
+  assert.equal(checkFrameGeometry({ renderWidth: 3840, crop: { x: 1920, y: 0, width: 1920, height: 1080 } }), null);
+  assert.equal(checkFrameGeometry({ renderWidth: 3840, crop: { x: 2000, y: 0, width: 1920, height: 1080 } }).path, 'crop.width');
+  assert.equal(checkFrameGeometry({ crop: { x: 0, y: 100, width: 1280, height: 720 } }, { width: 1280, height: 720 }).path, 'crop.height');
+  // Without a render size in the config the crop is clamped later instead.
+  assert.equal(checkFrameGeometry({ crop: { x: 0, y: 100, width: 1280, height: 720 } }), null);
+});
+
+test('scale plans letterbox, pillarbox or stretch the source', () => {
+  assert.equal(planFrameScale(1920, 1080, null, 1920, 1080, 'fit'), null);
+  assert.deepEqual(planFrameScale(1920, 1080, null, 1280, 1024, 'fit'), {
+    sx: 0, sy: 0, sw: 1920, sh: 1080, dx: 0, dy: 152, dw: 1280, dh: 720,
+  });
+  assert.deepEqual(planFrameScale(1440, 1080, null, 1920, 1080, 'fit'), {
+    sx: 0, sy: 0, sw: 1440, sh: 1080, dx: 240, dy: 0, dw: 1440, dh: 1080,
+  });
+  assert.deepEqual(planFrameScale(1440, 1080, null, 1920, 1080, 'stretch'), {
+    sx: 0, sy: 0, sw: 1440, sh: 1080, dx: 0, dy: 0, dw: 1920, dh: 1080,
+  });
+  assert.deepEqual(planFrameScale(3840, 1080, { x: 1920, y: 0, width: 1920, height: 1080 }, 1920, 1080, 'fit'), {
+    sx: 1920, sy: 0, sw: 1920, sh: 1080, dx: 0, dy: 0, dw: 1920, dh: 1080,
+  });
+});
+
+test('scaling copies a crop and leaves transparent bars', () => {
+  // 4x2 source: left half blue, right half red, both opaque.
+  const src = new Uint8Array(4 * 2 * 4);
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 4; x++) {
+      src.set(x < 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], (y * 4 + x) * 4);
+    }
+  }
+
+  const crop = new Uint8Array(2 * 2 * 4);
+  scaleFrame(src, 4, planFrameScale(4, 2, { x: 2, y: 0, width: 2, height: 2 }, 2, 2, 'fit'), crop, 2, 2);
+  assert.deepEqual(pixelAt(crop, 2, 0, 0), [0, 0, 255, 255]);
+  assert.deepEqual(pixelAt(crop, 2, 1, 1), [0, 0, 255, 255]);
+
+  const boxed = new Uint8Array(4 * 4 * 4).fill(7);
+  scaleFrame(src, 4, planFrameScale(4, 2, null, 4, 4, 'fit'), boxed, 4, 4);
+  assert.deepEqual(pixelAt(boxed, 4, 0, 0), [0, 0, 0, 0]);
+  assert.deepEqual(pixelAt(boxed, 4, 0, 1), [255, 0, 0, 255]);
+  assert.deepEqual(pixelAt(boxed, 4, 3, 2), [0, 0, 255, 255]);
+  assert.deepEqual(pixelAt(boxed, 4, 3, 3), [0, 0, 0, 0]);
+});
+
+test('downscaling blends neighbouring pixels', () => {
+  const src = new Uint8Array([0, 0, 0, 255, 200, 200, 200, 255]);
+  const dst = new Uint8Array(4);
+  scaleFrame(src, 2, planFrameScale(2, 1, null, 1, 1, 'stretch'), dst, 1, 1);
+  assert.deepEqual([...dst], [100, 100, 100, 255]);
+});
+
+test('output configs accept render sizes, crops and scale modes', () => {
+  assert.equal(validateIpcCommand({
+    type: 'enable_output',
+    output: 'output1',
+    payload: { renderWidth: 3840, renderHeight: 1080, crop: { x: 0, y: 0, width: 1920, height: 1080 }, scaleMode: 'fit' },
+  }), null);
+  assert.equal(validateIpcCommand({
+    type: 'update_output',
+    output: 'output1',
+    payload: { crop: { x: 0, y: 0, width: 1920 } },
+  }).path, 'payload.crop.height');
+  assert.equal(validateIpcCommand({
+    type: 'update_output',
+    output: 'output1',
+    payload: { scaleMode: 'zoom' },
+  }).path, 'payload.scaleMode');
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  describeFramerate,
+  formatFramerate,
+  framerateToNumber,
+  parseFramerate,
+} from '../src/framerate.js';
+import { validateIpcCommand } from '../src/ipcProtocol.js';
+
+test('whole framerates are sent as N/1', () => {
+  assert.deepEqual(parseFramerate(30), { numerator: 30, denominator: 1 });
+  assert.deepEqual(parseFramerate('50'), { numerator: 50, denominator: 1 });
+  assert.deepEqual(parseFramerate('120/2'), { numerator: 60, denominator: 1 });
+  assert.equal(parseFramerate(0), null);
+  assert.equal(parseFramerate(241), null);
+});
+
+test('broadcast framerates parse from ratios and rounded decimals', () => {
+  const ntsc60 = { numerator: 60000, denominator: 1001 };
+  assert.deepEqual(parseFramerate('60000/1001'), ntsc60);
+  assert.deepEqual(parseFramerate(59.94), ntsc60);
+  assert.deepEqual(parseFramerate('59.94'), ntsc60);
+  assert.deepEqual(parseFramerate(29.97), { numerator: 30000, denominator: 1001 });
+  assert.deepEqual(parseFramerate(23.976), { numerator: 24000, denominator: 1001 });
+  assert.deepEqual(parseFramerate(' 24000/1001 '), { numerator: 24000, denominator: 1001 });
+});
+
+test('framerates NDI does not support are rejected', () => {
+  assert.equal(parseFramerate(29.5), null);
+  assert.equal(parseFramerate('25000/1001'), null);
+  assert.equal(parseFramerate('30/0'), null);
+  assert.equal(parseFramerate('thirty'), null);
+  assert.equal(parseFramerate(null), null);
+});
+
+test('framerates format back to config values and labels', () => {
+  const ntsc = parseFramerate(59.94);
+  assert.equal(formatFramerate(ntsc), '60000/1001');
+  assert.equal(formatFramerate(parseFramerate(50)), 50);
+  assert.equal(describeFramerate(ntsc), '59.94');
+  assert.equal(describeFramerate(parseFramerate('24000/1001')), '23.976');
+  assert.equal(framerateToNumber(ntsc), 60000 / 1001);
+});
+
+test('output configs validate framerates', () => {
+  assert.equal(validateIpcCommand({ type: 'enable_output', output: 'output1', payload: { framerate: '60000/1001' } }), null);
+  assert.equal(validateIpcCommand({ type: 'enable_output', output: 'output1', payload: { framerate: 29.97 } }), null);
+  const invalid = validateIpcCommand({ type: 'update_output', output: 'output1', payload: { framerate: 29.5 } });
+  assert.equal(invalid.path, 'payload.framerate');
+  assert.match(invalid.message, /broadcast rate/);
+});
@@ -0,0 +1,6 @@
+const fakeGrandi = new URL('./fake-grandi.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'grandi') return { url: fakeGrandi, shortCircuit: true };
+  return nextResolve(specifier, context);
+}
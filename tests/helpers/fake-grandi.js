@@ -0,0 +1,34 @@
+/**
+ * Stand-in for grandi's sender API, so sender workers run without the NDI
+ * runtime.  Sender creation and each video() call take as long as the
+ * FAKE_GRANDI_CREATE_MS and FAKE_GRANDI_VIDEO_MS environment variables say,
+ * and fail when FAKE_GRANDI_CREATE_FAIL or FAKE_GRANDI_VIDEO_FAIL is set.
+ */
+
+const delay = (name) => new Promise((resolve) => setTimeout(resolve, Number(process.env[name]) || 0));
+
+async function step(delayName, failName) {
+  await delay(delayName);
+  if (process.env[failName]) throw new Error(`${failName} is set`);
+}
+
+export default {
+  FourCC: { BGRA: 1, UYVY: 2, UYVA: 3 },
+  FrameType: { Progressive: 1 },
+  TIMECODE_SYNTHESIZE: 0x7fffffffffffffffn,
+  initialize: () => true,
+  destroy: () => true,
+  version: () => 'fake',
+
+  async send({ name }) {
+    await step('FAKE_GRANDI_CREATE_MS', 'FAKE_GRANDI_CREATE_FAIL');
+    return {
+      video: () => step('FAKE_GRANDI_VIDEO_MS', 'FAKE_GRANDI_VIDEO_FAIL'),
+      metadata: () => true,
+      tally: () => ({ onProgram: false, onPreview: false }),
+      connections: () => 0,
+      sourceName: () => `TEST (${name})`,
+      destroy: () => { },
+    };
+  },
+};
@@ -0,0 +1,134 @@
+/**
+ * Module mocks for testing outputManager.js without Electron or NDI.
+ * Import this before outputManager.js.  Offscreen windows and sender
+ * pipelines are recorded in `windows` and `pipelines`; `pipelineReady`
+ * decides whether a new output's sender becomes ready.  A pipeline's
+ * `runtime` is the receivers and tally it reports, and `reportRuntime()`
+ * pushes it to the output manager the way a worker's state message does.
+ */
+
+import { EventEmitter } from 'node:events';
+import { mock } from 'node:test';
+
+/** Every window created, oldest first. */
+export const windows = [];
+/** Every sender pipeline created, oldest first. */
+export const pipelines = [];
+/** Whether a pipeline with these options reports ready. */
+export const behaviour = { pipelineReady: () => true };
+
+class FakeWebContents extends EventEmitter {
+  constructor() {
+    super();
+    this.frameRate = null;
+    this.windowOpenHandler = null;
+  }
+
+  setFrameRate(rate) {
+    this.frameRate = rate;
+  }
+
+  setWindowOpenHandler(handler) {
+    this.windowOpenHandler = handler;
+  }
+
+  insertCSS() {
+    return Promise.resolve('css-key');
+  }
+
+  removeInsertedCSS() {
+    return Promise.resolve();
+  }
+}
+
+class FakeBrowserWindow {
+  constructor(options) {
+    this.options = options;
+    this.webContents = new FakeWebContents();
+    this.loadedUrls = [];
+    this.destroyed = false;
+    windows.push(this);
+  }
+
+  setContentSize(width, height) {
+    this.contentSize = { width, height };
+  }
+
+  loadURL(url) {
+    this.loadedUrls.push(url);
+    return Promise.resolve();
+  }
+
+  isDestroyed() {
+    return this.destroyed;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+function createFakePipeline(options, callbacks) {
+  const ready = behaviour.pipelineReady(options);
+  const pipeline = {
+    options,
+    ready,
+    /** Whether another pipeline was still on air under this NDI name. */
+    duplicateName: pipelines.some((other) => !other.destroyed && other.options.name === options.name),
+    runtime: { connections: 0, tally: { onProgram: false, onPreview: false } },
+    reportRuntime() {
+      callbacks.onRuntimeState?.();
+    },
+    failed: ready ? null : 'fake sender failed',
+    closing: false,
+    destroyed: false,
+    background: options.background,
+    /** Multiview composes handed to the worker, and frames sent. */
+    composes: [],
+    sends: [],
+    capture() { },
+    captureMultiview(layout, sources) {
+      pipeline.composes.push({ layout, sources });
+      return true;
+    },
+    getCurrentFrame: () => null,
+    shareCurrentFrame: () => null,
+    sendCurrent(options) {
+      pipeline.sends.push(options);
+      return true;
+    },
+    sendMetadata: () => true,
+    setBackground(color) {
+      pipeline.background = color;
+      return true;
+    },
+    setOverlays: () => true,
+    whenReady: () => Promise.resolve(ready),
+    getRuntimeState: () => ({ ...pipeline.runtime, sourceName: options.name }),
+    getKeyRuntimeState: () => null,
+    getStats: () => ({}),
+    destroyGracefully() {
+      pipeline.closing = true;
+      pipeline.destroyed = true;
+      return Promise.resolve({ forced: false });
+    },
+  };
+  pipelines.push(pipeline);
+  return pipeline;
+}
+
+mock.module('electron', {
+  namedExports: {
+    BrowserWindow: FakeBrowserWindow,
+    nativeImage: { createFromPath: () => ({ isEmpty: () => true }) },
+  },
+});
+mock.module('../../src/ndiSender.js', {
+  namedExports: {
+    getNdiBackendState: () => ({ available: true, backend: 'fake', initialized: true, sdkVersion: null, error: null }),
+    destroyNdiSender: (handle, options) => handle?.destroyGracefully(options),
+  },
+});
+mock.module('../../src/senderPipeline.js', {
+  namedExports: { createSenderPipeline: createFakePipeline },
+});
@@ -0,0 +1,4 @@
+// Loaded with --import so worker threads inherit the hook as well.
+import { register } from 'node:module';
+
+register('./fake-grandi-hooks.js', import.meta.url);
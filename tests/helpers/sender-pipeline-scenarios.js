@@ -0,0 +1,129 @@
+/**
+ * Sender pipeline scenarios, run in a child process started with
+ * register-fake-grandi.js so the pipeline's worker sends through the fake
+ * grandi.  The scenario named in argv[2] prints `RESULT <json>`.
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import { configureLogger } from '../../src/logger.js';
+import { createSenderPipeline } from '../../src/senderPipeline.js';
+
+configureLogger({ console: false });
+
+const WIDTH = 8;
+const HEIGHT = 4;
+const bitmap = Buffer.alloc(WIDTH * HEIGHT * 4, 0xff);
+
+function createPipeline(options = {}, callbacks = {}) {
+  const pipeline = createSenderPipeline({
+    label: 'output1',
+    name: 'TEST',
+    width: WIDTH,
+    height: HEIGHT,
+    framerate: { numerator: 30, denominator: 1 },
+    pixelFormat: 'bgra',
+    alphaMode: 'embedded',
+    queueDepth: 1,
+    ...options,
+  }, callbacks);
+  if (options.label !== 'multiview') pipeline.capture(bitmap, WIDTH, HEIGHT);
+  return pipeline;
+}
+
+async function settled(pipeline) {
+  for (let i = 0; i < 200 && pipeline.getStats().outstanding_frames > 0; i++) {
+    await sleep(10);
+  }
+  return pipeline.getStats();
+}
+
+const scenarios = {
+  async bounded() {
+    const pipeline = createPipeline();
+    await pipeline.whenReady(2000);
+    const accepted = [1, 2, 3, 4].map(() => pipeline.sendCurrent());
+    const stats = await settled(pipeline);
+    await pipeline.destroyGracefully();
+    return { accepted, stats };
+  },
+
+  async notReady() {
+    const pipeline = createPipeline();
+    const accepted = pipeline.sendCurrent();
+    const stats = await settled(pipeline);
+    await pipeline.destroyGracefully();
+    return { accepted, stats };
+  },
+
+  async error() {
+    const pipeline = createPipeline();
+    await pipeline.whenReady(2000);
+    // A watermark without pixels makes drawing the overlays throw.
+    pipeline.setOverlays(
+      { watermark: { path: 'logo.png', position: 'top-right', opacity: 1, scale: 0.5 } },
+      { label: 'output1', watermark: { width: 2, height: 2, data: null } },
+    );
+    const accepted = pipeline.sendCurrent();
+    const stats = await settled(pipeline);
+    await pipeline.destroyGracefully();
+    return { accepted, stats };
+  },
+
+  async createFailed() {
+    const pipeline = createPipeline();
+    const ready = await pipeline.whenReady(2000);
+    const { failed } = pipeline;
+    await pipeline.destroyGracefully();
+    return { ready, failed };
+  },
+
+  async sendFailed() {
+    const results = [];
+    let failures = 0;
+    const pipeline = createPipeline({}, {
+      onFrameResult: (result) => results.push(result),
+      onSendFailure: () => failures++,
+    });
+    await pipeline.whenReady(2000);
+    const accepted = pipeline.sendCurrent();
+    const stats = await settled(pipeline);
+    // send_failed may trail frame_done by a message.
+    for (let i = 0; i < 50 && failures === 0; i++) await sleep(10);
+    await pipeline.destroyGracefully();
+    return { accepted, results, failures, stats };
+  },
+
+  async destroy() {
+    const pipeline = createPipeline({ pixelFormat: 'uyvy', queueDepth: 2 });
+    await pipeline.whenReady(2000);
+    pipeline.sendCurrent();
+    pipeline.capture(bitmap, WIDTH, HEIGHT);
+    pipeline.sendCurrent();
+    const before = pipeline.getStats();
+    const result = await pipeline.destroyGracefully({ timeoutMs: 100 });
+    return { before, after: pipeline.getStats(), result, accepted: pipeline.sendCurrent() };
+  },
+
+  async multiview() {
+    const source = createPipeline({ queueDepth: 2 });
+    const multiview = createPipeline({ label: 'multiview', name: 'MULTIVIEW', pixelFormat: 'uyvy' });
+    await Promise.all([source.whenReady(2000), multiview.whenReady(2000)]);
+    const layout = { cells: [{ x: 0, y: 0, width: 1, height: 1 }], labels: false, tally: true };
+    const tally = { onProgram: true, onPreview: false };
+
+    const composed = multiview.captureMultiview(layout, [{ label: 'output1', tally, frame: source.shareCurrentFrame() }]);
+    // The first compose is still in the worker, so this one is refused.
+    const refused = !multiview.captureMultiview(layout, [{ label: 'output1', tally, frame: source.shareCurrentFrame() }]);
+    const accepted = multiview.sendCurrent();
+    // The worker may still be reading the old capture, so the pool cannot reuse it yet.
+    source.capture(bitmap, WIDTH, HEIGHT);
+    const sourceWhileComposing = source.getStats();
+    const stats = await settled(multiview);
+    const sourceAfter = source.getStats();
+    await Promise.all([source.destroyGracefully(), multiview.destroyGracefully()]);
+    return { composed, refused, accepted, sourceWhileComposing, sourceAfter, stats };
+  },
+};
+
+const result = await scenarios[process.argv[2]]();
+console.log(`RESULT ${JSON.stringify(result)}`);
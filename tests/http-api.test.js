@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+
+const AUTH_TOKEN = 'secret';
+
+/** What the stubbed output manager and NDI backend report, and the calls they received. */
+const state = { enabled: new Set(), ndiAvailable: true, updateFails: false, calls: [] };
+
+mock.module('electron', { namedExports: { app: { getVersion: () => '0.0.0-test' } } });
+mock.module('../src/ndiSender.js', {
+  namedExports: {
+    getNdiBackendState: () => ({
+      available: state.ndiAvailable,
+      backend: state.ndiAvailable ? 'grandi' : 'unavailable',
+      initialized: state.ndiAvailable,
+      sdkVersion: null,
+      error: state.ndiAvailable ? null : 'grandi not installed',
+    }),
+  },
+});
+mock.module('../src/outputManager.js', {
+  namedExports: {
+    checkOutputSource: () => null,
+    enableOutput: async (key, config) => {
+      state.calls.push(['enable', key, config]);
+      state.enabled.add(key);
+      return true;
+    },
+    updateOutputConfig: async (key, config) => {
+      state.calls.push(['update', key, config]);
+      return !state.updateFails;
+    },
+    disableOutput: async (key) => {
+      state.calls.push(['disable', key]);
+      return state.enabled.delete(key);
+    },
+    getOutputStats: () => ({ outputs: {} }),
+    getOutputConfigs: () => Object.fromEntries([...state.enabled].map((key) => [key, { resolution: '1080p' }])),
+    isOutputEnabled: (key) => state.enabled.has(key),
+  },
+});
+
+const { configureLogger } = await import('../src/logger.js');
+const { startHttpApi, stopHttpApi } = await import('../src/httpApi.js');
+configureLogger({ console: false });
+
+async function withApi(run) {
+  state.enabled = new Set();
+  state.ndiAvailable = true;
+  state.updateFails = false;
+  state.calls = [];
+  const port = await startHttpApi('127.0.0.1', 0, { authToken: AUTH_TOKEN });
+  const request = async (method, route, { body, token = AUTH_TOKEN } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    await run(request);
+  } finally {
+    stopHttpApi();
+  }
+}
+
+test('requests without the auth token are rejected', () => withApi(async (request) => {
+  const missing = await request('GET', '/health', { token: null });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error.code, 'E_UNAUTHORIZED');
+
+  const wrong = await request('DELETE', '/outputs/output1', { token: 'guess' });
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(state.calls, []);
+}));
+
+test('health reports 503 while the NDI backend is unavailable', () => withApi(async (request) => {
+  assert.equal((await request('GET', '/health')).status, 200);
+
+  state.ndiAvailable = false;
+  const health = await request('GET', '/health');
+  assert.equal(health.status, 503);
+  assert.equal(health.body.ok, false);
+  assert.equal(health.body.ndi.error, 'grandi not installed');
+}));
+
+test('PUT and DELETE on an output enable, update and disable it', () => withApi(async (request) => {
+  const enabled = await request('PUT', '/outputs/output1', { body: { resolution: '720p' } });
+  assert.deepEqual(enabled.body, { ok: true, output: 'output1', action: 'enabled' });
+
+  const updated = await request('PUT', '/outputs/output1', { body: { background: '#000000' } });
+  assert.deepEqual(updated.body, { ok: true, output: 'output1', action: 'updated' });
+
+  const disabled = await request('DELETE', '/outputs/output1');
+  assert.deepEqual(disabled.body, { ok: true, output: 'output1', action: 'disabled' });
+
+  const again = await request('DELETE', '/outputs/output1');
+  assert.equal(again.status, 404);
+  assert.equal(again.body.error.code, 'E_OUTPUT_NOT_ENABLED');
+
+  assert.deepEqual(state.calls, [
+    ['enable', 'output1', { resolution: '720p' }],
+    ['update', 'output1', { background: '#000000' }],
+    ['disable', 'output1'],
+  ]);
+}));
+
+test('PUT with enabled: false disables the output', () => withApi(async (request) => {
+  state.enabled.add('stage');
+  const res = await request('PUT', '/outputs/stage', { body: { enabled: false } });
+  assert.deepEqual(res.body, { ok: true, output: 'stage', action: 'disabled' });
+  assert.deepEqual(state.calls, [['disable', 'stage']]);
+}));
+
+test('a failed update of an enabled output is reported as an update', () => withApi(async (request) => {
+  state.enabled.add('output2');
+  state.updateFails = true;
+  const res = await request('PUT', '/outputs/output2', { body: { background: '#000000' } });
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error.code, 'E_COMMAND_FAILED');
+  assert.equal(res.body.error.message, 'failed to update output: output2');
+}));
@@ -1,6 +1,14 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
-import { authTokensMatch, isValidIpcMessage } from '../src/ipcProtocol.js';
+import {
+  IPC_ERROR_CODES,
+  authTokensMatch,
+  filterStatsPayload,
+  isValidIpcMessage,
+  normalizeStatsSubscription,
+  validateIpcCommand,
+} from '../src/ipcProtocol.js';
+import { httpStatusForError, matchHttpRoute, readHttpAuthToken } from '../src/httpRoutes.js';
 
 test('IPC authentication compares exact tokens', () => {
   assert.equal(authTokensMatch('secret', 'secret'), true);
@@ -15,3 +23,109 @@ test('IPC message validation requires a bounded command type', () => {
   assert.equal(isValidIpcMessage([]), false);
   assert.equal(isValidIpcMessage({ type: 'x'.repeat(65) }), false);
 });
+
+test('stats subscriptions clamp the interval and keep only list filters', () => {
+  assert.deepEqual(normalizeStatsSubscription({}), { intervalMs: 1000, outputs: null, fields: null });
+  assert.deepEqual(
+    normalizeStatsSubscription({ intervalMs: 5, outputs: ['stage'], fields: 'send_fps' }),
+    { intervalMs: 100, outputs: ['stage'], fields: null }
+  );
+});
+
+test('stats filtering applies field names to aggregates and each selected output', () => {
+  const stats = {
+    send_fps: 30,
+    dropped_frames: 2,
+    perOutput: {
+      output1: { send_fps: 30, framesDropped: 2 },
+      stage: { send_fps: 29, framesDropped: 0 },
+    },
+  };
+
+  assert.deepEqual(filterStatsPayload(stats, { outputs: ['stage'], fields: ['send_fps'] }), {
+    send_fps: 30,
+    perOutput: { stage: { send_fps: 29 } },
+    outputs: { stage: { send_fps: 29 } },
+  });
+});
+
+test('command validation accepts well-formed payloads', () => {
+  assert.equal(validateIpcCommand({ type: 'hello' }), null);
+  assert.equal(validateIpcCommand({
+    type: 'set_outputs',
+    payload: { outputs: { output1: { enabled: true, resolution: '1080p', framerate: 60 }, stage: { enabled: false } } },
+  }), null);
+  assert.equal(validateIpcCommand({ type: 'set_outputs', payload: { atomic: true, outputs: {} } }), null);
+  assert.equal(validateIpcCommand({ type: 'enable_output', output: 'output3', payload: { pixelFormat: 'uyvy' } }), null);
+  assert.equal(validateIpcCommand({ type: 'set_output_metadata', payload: { songTitle: 'Amazing Grace' } }), null);
+  assert.equal(validateIpcCommand({ type: 'subscribe_stats', payload: { intervalMs: 500, outputs: ['stage'] } }), null);
+  assert.equal(validateIpcCommand({ type: 'set_log_level', payload: { level: 'debug' } }), null);
+  assert.equal(validateIpcCommand({ type: 'set_log_level', payload: { level: 'loud' } }).path, 'payload.level');
+});
+
+test('command validation reports a code and the offending field', () => {
+  assert.deepEqual(validateIpcCommand({ type: 'reboot' }), {
+    code: IPC_ERROR_CODES.UNKNOWN_COMMAND,
+    path: 'type',
+    message: 'unknown command: reboot',
+  });
+  assert.deepEqual(validateIpcCommand({ type: 'set_outputs', payload: {} }), {
+    code: IPC_ERROR_CODES.INVALID_PAYLOAD,
+    path: 'payload.outputs',
+    message: 'payload.outputs: is required',
+  });
+
+  const badQueue = validateIpcCommand({ type: 'update_output', output: 'output1', payload: { queueDepth: 20 } });
+  assert.equal(badQueue.code, IPC_ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(badQueue.path, 'payload.queueDepth');
+
+  const badResolution = validateIpcCommand({
+    type: 'set_outputs',
+    payload: { outputs: { output1: { resolution: '8k' } } },
+  });
+  assert.equal(badResolution.path, 'payload.outputs.output1.resolution');
+
+  const badField = validateIpcCommand({ type: 'subscribe_stats', payload: { fields: ['send_fps', 3] } });
+  assert.equal(badField.path, 'payload.fields[1]');
+});
+
+test('command validation rejects missing and unknown output keys', () => {
+  assert.equal(validateIpcCommand({ type: 'disable_output' }).path, 'payload.outputKey');
+  assert.deepEqual(validateIpcCommand({ type: 'enable_output', output: 'lobby' }), {
+    code: IPC_ERROR_CODES.UNKNOWN_OUTPUT,
+    path: 'output',
+    message: 'output: unknown output key: lobby',
+  });
+  assert.equal(validateIpcCommand({ type: 'enable_output', output: 'Output1' }).code, IPC_ERROR_CODES.UNKNOWN_OUTPUT);
+  assert.equal(validateIpcCommand({ type: 'enable_output', output: 'STAGE' }).code, IPC_ERROR_CODES.UNKNOWN_OUTPUT);
+  assert.equal(
+    validateIpcCommand({ type: 'set_outputs', payload: { outputs: { lobby: { enabled: true } } } }).code,
+    IPC_ERROR_CODES.UNKNOWN_OUTPUT
+  );
+});
+
+test('HTTP routes map to the control API', () => {
+  assert.deepEqual(matchHttpRoute('GET', '/health'), { route: 'health' });
+  assert.deepEqual(matchHttpRoute('GET', '/stats?fields=send_fps'), { route: 'stats' });
+  assert.deepEqual(matchHttpRoute('GET', '/metrics'), { route: 'metrics' });
+  assert.deepEqual(matchHttpRoute('GET', '/outputs/'), { route: 'outputs' });
+  assert.deepEqual(matchHttpRoute('PUT', '/outputs/output1'), { route: 'output', outputKey: 'output1' });
+  assert.deepEqual(matchHttpRoute('DELETE', '/outputs/stage'), { route: 'output', outputKey: 'stage' });
+  assert.deepEqual(matchHttpRoute('POST', '/stats'), { error: 'method_not_allowed' });
+  assert.deepEqual(matchHttpRoute('GET', '/outputs/stage'), { error: 'method_not_allowed' });
+  assert.deepEqual(matchHttpRoute('GET', '/metrics/extra'), { error: 'not_found' });
+});
+
+test('HTTP requests carry the token as a bearer or X-Auth-Token header', () => {
+  assert.equal(readHttpAuthToken({ authorization: 'Bearer secret' }), 'secret');
+  assert.equal(readHttpAuthToken({ 'x-auth-token': 'secret' }), 'secret');
+  assert.equal(readHttpAuthToken({}), undefined);
+  assert.equal(authTokensMatch(readHttpAuthToken({ authorization: 'Basic abc' }), 'secret'), false);
+});
+
+test('IPC error codes map to HTTP statuses', () => {
+  assert.equal(httpStatusForError(IPC_ERROR_CODES.INVALID_PAYLOAD), 400);
+  assert.equal(httpStatusForError(IPC_ERROR_CODES.UNAUTHORIZED), 401);
+  assert.equal(httpStatusForError(IPC_ERROR_CODES.OUTPUT_NOT_ENABLED), 404);
+  assert.equal(httpStatusForError(IPC_ERROR_CODES.COMMAND_FAILED), 500);
+});
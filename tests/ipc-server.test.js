@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { mock, test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+const unixOnly = { skip: process.platform === 'win32' };
+const AUTH_TOKEN = 'secret';
+
+/** What the stubbed output manager reports; tests change it as needed. */
+const outputState = { enabled: new Set(), updated: true };
+const outputListeners = new Set();
+const emitOutputEvent = (payload) => {
+  for (const listener of outputListeners) listener(payload);
+};
+
+mock.module('electron', { namedExports: { app: { getVersion: () => '0.0.0-test', quit: () => { } } } });
+mock.module('../src/outputManager.js', {
+  namedExports: {
+    applyOutputConfigs: async () => ({ ok: true, results: {} }),
+    checkOutputSource: () => null,
+    enableOutput: async () => true,
+    disableOutput: async (key) => outputState.enabled.delete(key),
+    updateOutputConfig: async () => outputState.updated,
+    getOutputStats: () => ({ outputs: {} }),
+    isOutputEnabled: (key) => outputState.enabled.has(key),
+    getEnabledOutputKeys: () => [...outputState.enabled],
+    setOutputMetadata: () => true,
+    setOutputOverlays: () => true,
+    onOutputEvent: (listener) => {
+      outputListeners.add(listener);
+      return () => outputListeners.delete(listener);
+    },
+  },
+});
+
+const { configureLogger } = await import('../src/logger.js');
+const { startIpcServer, stopIpcServer } = await import('../src/ipc.js');
+configureLogger({ console: false });
+
+/** Connect once the server is listening and collect the JSON lines it sends. */
+async function connect(socketPath) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const socket = await new Promise((resolve, reject) => {
+        const client = net.connect(socketPath, () => resolve(client));
+        client.once('error', reject);
+      });
+      const lines = [];
+      let buffer = '';
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let idx;
+        while ((idx = buffer.indexOf('\n')) >= 0) {
+          lines.push(JSON.parse(buffer.slice(0, idx)));
+          buffer = buffer.slice(idx + 1);
+        }
+      });
+      return {
+        socket,
+        lines,
+        send: (message) => socket.write(`${JSON.stringify(message)}\n`),
+        next: (predicate) => waitFor(() => lines.find(predicate)),
+      };
+    } catch (err) {
+      if (attempt >= 50) throw err;
+      await sleep(20);
+    }
+  }
+}
+
+async function waitFor(read) {
+  for (let i = 0; i < 100; i++) {
+    const value = read();
+    if (value) return value;
+    await sleep(10);
+  }
+  throw new Error('timed out waiting for the IPC server');
+}
+
+async function withServer(run, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lyricdisplay-ndi-ipc-'));
+  const socketPath = path.join(dir, 'companion.sock');
+  await startIpcServer('127.0.0.1', 0, { socketPath, authToken: AUTH_TOKEN, ...options });
+  try {
+    await run(socketPath);
+  } finally {
+    stopIpcServer();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('output events reach authorized clients only, and stop when the server does', unixOnly, () => withServer(async (socketPath) => {
+  const subscriber = await connect(socketPath);
+  const silent = await connect(socketPath);
+  const intruder = await connect(socketPath);
+
+  subscriber.send({ type: 'hello', seq: 1, token: AUTH_TOKEN });
+  await subscriber.next((line) => line.type === 'hello');
+  intruder.send({ type: 'hello', seq: 1, token: 'wrong' });
+  assert.equal((await intruder.next((line) => line.type === 'error')).payload.code, 'E_UNAUTHORIZED');
+
+  emitOutputEvent({ event: 'tally_changed', output: 'output1', tally: { onProgram: true, onPreview: false } });
+  const event = await subscriber.next((line) => line.type === 'event');
+  assert.equal(event.payload.event, 'tally_changed');
+  assert.equal(event.payload.output, 'output1');
+  assert.deepEqual(silent.lines, []);
+  assert.equal(intruder.lines.some((line) => line.type === 'event'), false);
+
+  assert.equal(outputListeners.size, 1);
+  stopIpcServer();
+  assert.equal(outputListeners.size, 0);
+  for (const client of [subscriber, silent, intruder]) client.socket.destroy();
+}));
+
+test('clients that have gone away are dropped from output events', unixOnly, () => withServer(async (socketPath) => {
+  const leaving = await connect(socketPath);
+  const staying = await connect(socketPath);
+  for (const client of [leaving, staying]) {
+    client.send({ type: 'hello', seq: 1, token: AUTH_TOKEN });
+    await client.next((line) => line.type === 'hello');
+  }
+
+  leaving.socket.destroy();
+  await sleep(50);
+  emitOutputEvent({ event: 'receivers_changed', output: 'stage', connections: 2, previous: 1 });
+
+  const event = await staying.next((line) => line.type === 'event');
+  assert.equal(event.payload.connections, 2);
+  assert.equal(leaving.lines.some((line) => line.type === 'event'), false);
+  staying.socket.destroy();
+}));
+
+test('update_output and disable_output report outputs that are not enabled or fail', unixOnly, () => withServer(async (socketPath) => {
+  const client = await connect(socketPath);
+  const command = async (seq, message) => {
+    client.send({ ...message, seq, token: AUTH_TOKEN });
+    return client.next((line) => line.seq === seq);
+  };
+  outputState.enabled = new Set(['output1']);
+
+  assert.equal((await command(1, { type: 'update_output', output: 'output2', payload: { background: '#000000' } })).payload.code, 'E_OUTPUT_NOT_ENABLED');
+  assert.equal((await command(2, { type: 'disable_output', output: 'output2' })).payload.code, 'E_OUTPUT_NOT_ENABLED');
+
+  outputState.updated = false;
+  assert.equal((await command(3, { type: 'update_output', output: 'output1', payload: { background: '#000000' } })).payload.code, 'E_COMMAND_FAILED');
+  outputState.updated = true;
+  assert.deepEqual((await command(4, { type: 'update_output', output: 'output1', payload: { background: '#000000' } })).payload, { ok: true });
+  assert.deepEqual((await command(5, { type: 'disable_output', output: 'output1' })).payload, { ok: true });
+  assert.equal(outputState.enabled.size, 0);
+  client.socket.destroy();
+}));
+
+test('the shutdown command acks and then runs the companion shutdown', unixOnly, () => {
+  let shutdowns = 0;
+  return withServer(async (socketPath) => {
+    const client = await connect(socketPath);
+    client.send({ type: 'shutdown', seq: 1, token: AUTH_TOKEN });
+    assert.deepEqual((await client.next((line) => line.seq === 1)).payload, { ok: true });
+    assert.equal(shutdowns, 0);
+    await waitFor(() => shutdowns === 1);
+    client.socket.destroy();
+  }, { onShutdown: () => { shutdowns++; } });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  isNamedPipePath,
+  listenOwnerOnly,
+  removeStaleSocket,
+  restrictSocketPermissions,
+} from '../src/ipcSocket.js';
+
+const unixOnly = { skip: process.platform === 'win32' };
+
+function withSocketDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lyricdisplay-ndi-ipc-'));
+  return Promise.resolve(run(path.join(dir, 'companion.sock'))).finally(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+function listen(socketPath) {
+  const server = net.createServer();
+  return new Promise((resolve) => {
+    listenOwnerOnly(socketPath, () => server.listen(socketPath, () => resolve(server)));
+  });
+}
+
+test('recognizes Windows named pipe paths', () => {
+  assert.equal(isNamedPipePath('\\\\.\\pipe\\lyricdisplay-ndi'), true);
+  assert.equal(isNamedPipePath('/tmp/lyricdisplay-ndi.sock'), false);
+});
+
+test('removes a socket file nobody is listening on', unixOnly, () => withSocketDir(async (socketPath) => {
+  // A killed process leaves its socket file behind without a listener.
+  const child = spawn(process.execPath, [
+    '-e',
+    `require('net').createServer().listen(${JSON.stringify(socketPath)}, () => console.log('up'))`,
+  ]);
+  await once(child.stdout, 'data');
+  child.kill('SIGKILL');
+  await once(child, 'exit');
+
+  assert.equal(await removeStaleSocket(socketPath), true);
+  assert.equal(fs.existsSync(socketPath), false);
+}));
+
+test('refuses to remove a socket that is still in use', unixOnly, () => withSocketDir(async (socketPath) => {
+  const server = await listen(socketPath);
+  try {
+    await assert.rejects(removeStaleSocket(socketPath), /already in use/);
+  } finally {
+    server.close();
+  }
+}));
+
+test('creates the socket file readable by its owner only', unixOnly, () => withSocketDir(async (socketPath) => {
+  const server = await listen(socketPath);
+  try {
+    restrictSocketPermissions(socketPath);
+    assert.equal(fs.statSync(socketPath).mode & 0o777, 0o600);
+  } finally {
+    server.close();
+  }
+}));
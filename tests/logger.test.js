@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import {
+  LOG_FILE_NAME,
+  closeLogger,
+  configureLogger,
+  createLogger,
+  getLogLevel,
+  setLogLevel,
+} from '../src/logger.js';
+
+const readEntries = (dir, name = LOG_FILE_NAME) => fs.readFileSync(path.join(dir, name), 'utf8')
+  .trim()
+  .split('\n')
+  .map((line) => JSON.parse(line));
+
+test('entries are JSON lines with level, module and output fields', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndi-logs-'));
+  t.after(() => {
+    closeLogger();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const log = createLogger('OutputManager');
+  log.info('logged before configure');
+  configureLogger({ dir, level: 'info', console: false });
+  log.warn('NDI send error', { output: 'output1', error: new Error('boom') });
+  log.debug('hidden at info');
+
+  const entries = readEntries(dir);
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].msg, 'logged before configure');
+  assert.equal(entries[1].level, 'warn');
+  assert.equal(entries[1].module, 'OutputManager');
+  assert.equal(entries[1].output, 'output1');
+  assert.equal(entries[1].error, 'boom');
+  assert.ok(!Number.isNaN(Date.parse(entries[1].ts)));
+});
+
+test('the level can change at runtime', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndi-logs-'));
+  t.after(() => {
+    closeLogger();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  configureLogger({ dir, level: 'error', console: false });
+  const log = createLogger('IPC');
+  log.warn('dropped');
+  assert.equal(setLogLevel('debug'), true);
+  assert.equal(setLogLevel('verbose'), false);
+  assert.equal(getLogLevel(), 'debug');
+  log.debug('kept');
+
+  assert.deepEqual(readEntries(dir).map((entry) => entry.msg), ['kept']);
+});
+
+test('files rotate by size and keep a bounded number of old files', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndi-logs-'));
+  t.after(() => {
+    closeLogger();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  configureLogger({ dir, level: 'info', console: false, maxBytes: 200, maxFiles: 3 });
+  const log = createLogger('NdiSender');
+  for (let i = 0; i < 20; i++) {
+    log.info(`entry ${i} ${'x'.repeat(40)}`);
+  }
+
+  const files = fs.readdirSync(dir).sort();
+  assert.deepEqual(files, ['companion.1.log', 'companion.2.log', 'companion.log']);
+  for (const file of files) {
+    assert.ok(fs.statSync(path.join(dir, file)).size <= 200);
+  }
+  const newest = readEntries(dir);
+  assert.equal(newest.at(-1).msg.startsWith('entry 19'), true);
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  checkMultiviewConfig,
+  composeMultiview,
+  isMultiviewKey,
+  normalizeMultiviewConfig,
+  resolveMultiviewCells,
+} from '../src/multiview.js';
+import { validateIpcCommand } from '../src/ipcProtocol.js';
+
+const pixelAt = (bgra, width, x, y) => [...bgra.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+const solidFrame = (width, height, [b, g, r]) => {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels.set([b, g, r, 255], i);
+  }
+  return { pixels, width, height };
+};
+
+test('multiview configs default to output1, output2 and stage on an automatic grid', () => {
+  assert.equal(isMultiviewKey('multiview'), true);
+  assert.equal(isMultiviewKey('multiview2'), true);
+  assert.equal(isMultiviewKey('output1'), false);
+  assert.equal(isMultiviewKey('Multiview'), false);
+  assert.deepEqual(normalizeMultiviewConfig(), {
+    sources: ['output1', 'output2', 'stage'],
+    layout: 'auto',
+    cells: [],
+    labels: true,
+    tally: true,
+  });
+  assert.deepEqual(normalizeMultiviewConfig({ sources: ['stage', 'multiview2'], layout: '9x9', labels: false }).sources, ['stage']);
+  assert.equal(normalizeMultiviewConfig({ layout: '9x9' }).layout, 'auto');
+  assert.equal(normalizeMultiviewConfig({ layout: 'custom' }).layout, 'auto');
+});
+
+test('multiview config checks reject nested multiviews and empty custom layouts', () => {
+  assert.equal(checkMultiviewConfig({ sources: ['output1'] }), null);
+  assert.equal(checkMultiviewConfig(undefined), null);
+  assert.deepEqual(checkMultiviewConfig({ sources: ['output1', 'multiview2'] }), {
+    path: 'multiview.sources[1]',
+    message: 'a multiview cannot show another multiview',
+  });
+  assert.equal(checkMultiviewConfig({ layout: 'custom' }).path, 'multiview.cells');
+});
+
+test('multiview layouts resolve to tiles in source order', () => {
+  const grid = resolveMultiviewCells(normalizeMultiviewConfig({ layout: '2x2' }));
+  assert.equal(grid.length, 4);
+  assert.deepEqual(grid[1], { x: 0.5, y: 0, width: 0.5, height: 0.5 });
+  assert.deepEqual(grid[2], { x: 0, y: 0.5, width: 0.5, height: 0.5 });
+
+  assert.equal(resolveMultiviewCells(normalizeMultiviewConfig({ sources: ['output1', 'output2', 'stage'] })).length, 4);
+  assert.equal(resolveMultiviewCells(normalizeMultiviewConfig({ sources: ['stage'] })).length, 1);
+
+  const cells = [{ x: 0, y: 0, width: 0.75, height: 1 }, { x: 0.75, y: 0, width: 0.25, height: 0.25 }];
+  assert.deepEqual(resolveMultiviewCells(normalizeMultiviewConfig({ layout: 'custom', cells })), cells);
+});
+
+test('multiview frames scale each source into its tile with a tally border', () => {
+  const width = 64;
+  const height = 36;
+  const dst = new Uint8Array(width * height * 4);
+  const cells = resolveMultiviewCells(normalizeMultiviewConfig({ layout: '2x1', sources: ['output1', 'stage'] }));
+  composeMultiview(dst, width, height, cells, [
+    { label: 'output1', frame: solidFrame(160, 90, [200, 100, 50]), tally: { onProgram: true, onPreview: false } },
+    { label: 'stage', frame: solidFrame(16, 9, [10, 20, 30]), tally: { onProgram: false, onPreview: true } },
+  ], { labels: false, tally: true });
+
+  assert.deepEqual(pixelAt(dst, width, 0, 0), [0, 0, 224, 255]);
+  assert.deepEqual(pixelAt(dst, width, 16, 18), [200, 100, 50, 255]);
+  assert.deepEqual(pixelAt(dst, width, 32, 0), [0, 192, 0, 255]);
+  assert.deepEqual(pixelAt(dst, width, 48, 18), [10, 20, 30, 255]);
+  // Letterbox bars above the fitted frame are black.
+  assert.deepEqual(pixelAt(dst, width, 16, 3), [0, 0, 0, 255]);
+});
+
+test('multiview tiles flatten transparent captures onto their source background', () => {
+  const width = 32;
+  const height = 18;
+  const dst = new Uint8Array(width * height * 4);
+  const cells = resolveMultiviewCells(normalizeMultiviewConfig({ layout: '2x1', sources: ['output1', 'stage'] }));
+  const halfCovered = { pixels: new Uint8Array(16 * 9 * 4), width: 16, height: 9 };
+  for (let i = 0; i < halfCovered.pixels.length; i += 4) {
+    halfCovered.pixels.set([100, 0, 0, 128], i);
+  }
+  composeMultiview(dst, width, height, cells, [
+    { label: 'output1', frame: { ...halfCovered, background: [0, 177, 0] }, tally: null },
+    { label: 'stage', frame: halfCovered, tally: null },
+  ], { labels: false, tally: false });
+
+  assert.deepEqual(pixelAt(dst, width, 8, 9), [100, 88, 0, 255]);
+  assert.deepEqual(pixelAt(dst, width, 24, 9), [100, 0, 0, 255]);
+});
+
+test('multiview tiles show the crop and letterbox their source output sends', () => {
+  const width = 68;
+  const height = 40;
+  const dst = new Uint8Array(width * height * 4);
+  const capture = solidFrame(32, 18, [0, 0, 200]);
+  for (let y = 0; y < 18; y++) {
+    for (let x = 16; x < 32; x++) capture.pixels.set([200, 0, 0, 255], (y * 32 + x) * 4);
+  }
+  const cells = resolveMultiviewCells(normalizeMultiviewConfig({ layout: '1x1', sources: ['output1'] }));
+  const frame = { ...capture, background: [0, 177, 0], crop: { x: 16, y: 0, width: 16, height: 18 }, scaleMode: 'fit', sendWidth: 32, sendHeight: 18 };
+  composeMultiview(dst, width, height, cells, [{ label: 'output1', frame, tally: null }], { labels: false, tally: false });
+
+  // The cropped half is pillarboxed in the sent frame, over the background.
+  assert.deepEqual(pixelAt(dst, width, 34, 20), [200, 0, 0, 255]);
+  assert.deepEqual(pixelAt(dst, width, 7, 20), [0, 177, 0, 255]);
+  assert.deepEqual(pixelAt(dst, width, 61, 20), [0, 177, 0, 255]);
+});
+
+test('multiview tiles without a frame show an idle border and NO SIGNAL', () => {
+  const width = 192;
+  const height = 108;
+  const dst = new Uint8Array(width * height * 4);
+  composeMultiview(dst, width, height, [{ x: 0, y: 0, width: 1, height: 1 }], [
+    { label: 'output2', frame: null, tally: { onProgram: true, onPreview: false } },
+  ], { labels: true, tally: false });
+
+  assert.deepEqual(pixelAt(dst, width, 0, 0), [64, 64, 64, 255]);
+  let white = 0;
+  for (let i = 0; i < dst.length; i += 4) {
+    if (dst[i] === 255 && dst[i + 1] === 255 && dst[i + 2] === 255) white++;
+  }
+  assert.ok(white > 0);
+});
+
+test('multiview outputs accept a validated multiview config', () => {
+  assert.equal(validateIpcCommand({
+    type: 'enable_output',
+    output: 'multiview',
+    payload: { multiview: { sources: ['output1', 'stage'], layout: '2x2', labels: true } },
+  }), null);
+  assert.equal(validateIpcCommand({
+    type: 'update_output',
+    output: 'multiview',
+    payload: { multiview: { layout: '5x5' } },
+  }).path, 'payload.multiview.layout');
+  assert.equal(validateIpcCommand({
+    type: 'update_output',
+    output: 'multiview',
+    payload: { multiview: { layout: 'custom', cells: [{ x: 0, y: 0, width: 2, height: 1 }] } },
+  }).path, 'payload.multiview.cells[0].width');
+});
@@ -0,0 +1,11 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { buildLyricMetadataXml } from '../src/ndiMetadata.js';
+
+test('lyric metadata carries each field as an escaped element', () => {
+  assert.equal(
+    buildLyricMetadataXml({ songTitle: 'Rock & Roll', section: 'Chorus', currentLine: '<Amazing> "grace"' }),
+    '<lyricdisplay version="1"><song_title>Rock &amp; Roll</song_title><section>Chorus</section>'
+      + '<current_line>&lt;Amazing&gt; &quot;grace&quot;</current_line><next_line/></lyricdisplay>'
+  );
+});
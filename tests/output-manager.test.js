@@ -0,0 +1,209 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { behaviour, pipelines, windows } from './helpers/output-manager-mocks.js';
+
+const { configureLogger } = await import('../src/logger.js');
+const {
+  applyOutputConfigs,
+  disableOutput,
+  enableOutput,
+  getEnabledOutputKeys,
+  getOutputConfigs,
+  initOutputManager,
+  onOutputEvent,
+  updateOutputConfig,
+} = await import('../src/outputManager.js');
+configureLogger({ console: false });
+
+const savedConfigs = [];
+initOutputManager('http://127.0.0.1:4000', { onConfigsChanged: (configs) => savedConfigs.push(configs) });
+
+async function disableAll() {
+  await Promise.all(getEnabledOutputKeys().map((key) => disableOutput(key)));
+  behaviour.pipelineReady = () => true;
+  savedConfigs.length = 0;
+}
+
+test('an atomic set_outputs that fails part-way leaves every output and the saved configs as they were', async (t) => {
+  t.after(disableAll);
+  await enableOutput('output1', { resolution: '720p', sourceName: 'Main' });
+  await enableOutput('stage', { resolution: '1080p', sourceName: 'Stage' });
+  const configsBefore = getOutputConfigs();
+  const runningPipelines = pipelines.slice(-2);
+  savedConfigs.length = 0;
+
+  // output1 and output2 are prepared first; stage's new sender never becomes ready.
+  behaviour.pipelineReady = (options) => options.name !== 'Stage 4K';
+  const { ok, results } = await applyOutputConfigs({
+    output1: { enabled: true, resolution: '1080p', sourceName: 'Main' },
+    output2: { enabled: true, resolution: '1080p', sourceName: 'Lower thirds' },
+    stage: { enabled: true, resolution: '4k', sourceName: 'Stage 4K' },
+  });
+
+  assert.equal(ok, false);
+  assert.deepEqual(results.output1, { ok: false, action: 'rolled_back' });
+  assert.deepEqual(results.output2, { ok: false, action: 'rolled_back' });
+  assert.equal(results.stage.action, 'failed');
+
+  assert.deepEqual(getEnabledOutputKeys().sort(), ['output1', 'stage']);
+  assert.deepEqual(getOutputConfigs(), configsBefore);
+  assert.deepEqual(savedConfigs, []);
+  // The running senders carry on; everything prepared for the batch is torn down.
+  // output1 keeps its NDI name, so its new sender would only have started after the swap.
+  assert.equal(runningPipelines.some((pipeline) => pipeline.destroyed), false);
+  const prepared = pipelines.slice(-2);
+  assert.deepEqual(prepared.map((pipeline) => pipeline.options.name), ['Lower thirds', 'Stage 4K']);
+  assert.equal(prepared.every((pipeline) => pipeline.destroyed), true);
+  assert.equal(windows.slice(-3).every((win) => win.isDestroyed()), true);
+});
+
+test('an atomic set_outputs stops at an output it cannot create and tears down the ones before it', async (t) => {
+  t.after(disableAll);
+  await enableOutput('output1', { resolution: '720p', sourceName: 'Main' });
+  const configsBefore = getOutputConfigs();
+  const pipelineCount = pipelines.length;
+  savedConfigs.length = 0;
+
+  const { ok, results } = await applyOutputConfigs({
+    output1: { enabled: true, resolution: '1080p', sourceName: 'Main' },
+    output2: { enabled: true, url: 'https://example.com/lyrics' },
+    stage: { enabled: true, sourceName: 'Stage' },
+  });
+
+  assert.equal(ok, false);
+  assert.equal(results.output2.action, 'failed');
+  assert.deepEqual(results.stage, { ok: false, action: 'rolled_back' });
+  assert.deepEqual(getOutputConfigs(), configsBefore);
+  assert.deepEqual(savedConfigs, []);
+  // Only output1's replacement window was prepared before output2 failed, and no sender.
+  assert.equal(pipelines.length, pipelineCount);
+  assert.equal(pipelines.at(-1).destroyed, false);
+  assert.equal(windows.at(-1).isDestroyed(), true);
+});
+
+test('an atomic set_outputs swap keeps NDI names unique and reports no cleared receivers or tally', async (t) => {
+  t.after(disableAll);
+  await enableOutput('output1', { resolution: '720p', sourceName: 'Main' });
+  await enableOutput('stage', { resolution: '720p', sourceName: 'Stage' });
+  const [main, stage] = pipelines.slice(-2);
+  for (const pipeline of [main, stage]) {
+    pipeline.runtime = { connections: 2, tally: { onProgram: true, onPreview: false } };
+    pipeline.reportRuntime();
+  }
+  const events = [];
+  const unsubscribe = onOutputEvent((event) => events.push(event));
+  t.after(unsubscribe);
+
+  const { ok, results } = await applyOutputConfigs({
+    output1: { enabled: true, resolution: '1080p', sourceName: 'Main' },
+    stage: { enabled: true, resolution: '1080p', sourceName: 'Stage B' },
+  });
+
+  assert.equal(ok, true);
+  assert.deepEqual(results, { output1: { ok: true, action: 'recreated' }, stage: { ok: true, action: 'recreated' } });
+  const [renamed, replacement] = pipelines.slice(-2);
+  assert.deepEqual([renamed.options.name, replacement.options.name], ['Stage B', 'Main']);
+  assert.equal(main.destroyed && stage.destroyed, true);
+  // The renamed source went on air beside the old one; "Main" waited for its predecessor.
+  assert.equal(renamed.duplicateName, false);
+  assert.equal(replacement.duplicateName, false);
+  assert.deepEqual(events, []);
+
+  replacement.runtime = { connections: 2, tally: { onProgram: true, onPreview: false } };
+  replacement.reportRuntime();
+  assert.deepEqual(events, []);
+});
+
+test('output pages cannot navigate or be redirected off the allowed origins', async (t) => {
+  t.after(disableAll);
+  await enableOutput('output1', { resolution: '720p' });
+  const { webContents } = windows.at(-1);
+
+  const follow = (eventName, url) => {
+    let prevented = false;
+    webContents.emit(eventName, { preventDefault: () => { prevented = true; } }, url);
+    return !prevented;
+  };
+  assert.equal(follow('will-navigate', 'http://127.0.0.1:4000/#/stage'), true);
+  assert.equal(follow('will-navigate', 'https://example.com/'), false);
+  assert.equal(follow('will-redirect', 'http://127.0.0.1:4000/login'), true);
+  assert.equal(follow('will-redirect', 'https://example.com/phish'), false);
+  assert.deepEqual(webContents.windowOpenHandler({ url: 'http://127.0.0.1:4000/' }), { action: 'deny' });
+});
+
+test('a background-only update keeps the output running at its size', async (t) => {
+  t.after(disableAll);
+  await enableOutput('output1', { resolution: '720p' });
+  await enableOutput('output2', { resolution: 'custom', customWidth: 1024, customHeight: 768 });
+  const pipelineCount = pipelines.length;
+  const windowCount = windows.length;
+
+  assert.equal(await updateOutputConfig('output1', { background: 'chroma-green' }), true);
+  assert.equal(await updateOutputConfig('output2', { background: '#102030' }), true);
+
+  assert.equal(pipelines.length, pipelineCount);
+  assert.equal(windows.length, windowCount);
+  assert.deepEqual(pipelines.at(-2).background, [0x40, 0xb1, 0x00]);
+  const configs = getOutputConfigs();
+  assert.equal(configs.output1.resolution, '720p');
+  assert.equal(configs.output1.background, 'chroma-green');
+  assert.deepEqual([configs.output2.resolution, configs.output2.customWidth, configs.output2.customHeight], ['custom', 1024, 768]);
+  assert.deepEqual(windows.at(-2).contentSize, { width: 1280, height: 720 });
+});
+
+test('a 59.94 test pattern is labelled 59.94', async (t) => {
+  t.after(disableAll);
+  await enableOutput('testpattern:grid', { resolution: '720p', framerate: '60000/1001' });
+  const win = windows.at(-1);
+
+  assert.equal(win.webContents.frameRate, 60);
+  const html = decodeURIComponent(win.loadedUrls.at(-1).replace('data:text/html;charset=utf-8,', ''));
+  assert.match(html, /"framerateLabel":"59\.94"/);
+  assert.equal(getOutputConfigs()['testpattern:grid'].framerate, '60000/1001');
+});
+
+test('a multiview hands its sources\' shared captures to its worker once per change', async (t) => {
+  t.after(disableAll);
+  await enableOutput('output1', { resolution: '720p' });
+  const shared = { captureId: 7, src: new SharedArrayBuffer(4), width: 1, height: 1, release: () => { } };
+  Object.assign(pipelines.at(-1), {
+    getCurrentFrame: () => ({ captureId: 7, width: 1, height: 1 }),
+    shareCurrentFrame: () => shared,
+  });
+  await enableOutput('multiview', { resolution: '720p', multiview: { sources: ['output1', 'stage'], layout: '2x1' } });
+  const multiview = pipelines.at(-1);
+
+  await sleep(150);
+  assert.equal(multiview.composes.length, 1);
+  const [{ layout, sources }] = multiview.composes;
+  assert.equal(layout.cells.length, 2);
+  assert.equal(layout.labels, true);
+  assert.deepEqual(sources.map(({ label, frame }) => [label, frame]), [['output1', shared], ['stage', null]]);
+  // Later ticks repeat the composed frame.
+  assert.ok(multiview.sends.length > 1);
+  assert.deepEqual(multiview.sends.slice(1).map(({ repeated }) => repeated), multiview.sends.slice(1).map(() => true));
+});
+
+test('a page that fails to load is reloaded by the watchdog unless the slate is turned on', async (t) => {
+  t.after(disableAll);
+  const events = [];
+  t.after(onOutputEvent((event) => events.push(event)));
+  const failLoad = (win) => win.webContents.emit('did-fail-load', {}, -105, 'ERR_NAME_NOT_RESOLVED', win.loadedUrls.at(-1), true);
+
+  await enableOutput('output1', { resolution: '720p' });
+  const plain = windows.at(-1);
+  failLoad(plain);
+  assert.deepEqual(events.map(({ event, output, reason }) => [event, output, reason]), [['renderer_recovering', 'output1', 'load_failed']]);
+  assert.equal(plain.loadedUrls.length, 1);
+
+  events.length = 0;
+  await enableOutput('output2', { resolution: '720p', slate: { enabled: true } });
+  const slated = windows.at(-1);
+  failLoad(slated);
+  assert.deepEqual(events.map(({ event, active }) => [event, active]), [['slate_changed', true]]);
+  assert.match(slated.loadedUrls.at(-1), /^data:text\/html/);
+  // A slate that fails to load as well goes to the watchdog.
+  failLoad(slated);
+  assert.equal(events.at(-1).event, 'renderer_recovering');
+});
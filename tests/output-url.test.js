@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { isAllowedOrigin, normalizeOrigin, resolveOutputUrl } from '../src/outputUrl.js';
+
+const opts = {
+  appUrl: 'http://127.0.0.1:4000',
+  hashRouting: true,
+  allowedOrigins: ['https://overlays.example.com'],
+  format: { width: 1920, height: 1080, framerate: { numerator: 30, denominator: 1 } },
+};
+
+test('output keys map to their LyricDisplay routes', () => {
+  assert.deepEqual(resolveOutputUrl('stage', {}, opts), { url: 'http://127.0.0.1:4000/#/stage' });
+  assert.deepEqual(resolveOutputUrl('output7', {}, { ...opts, hashRouting: false }), { url: 'http://127.0.0.1:4000/output7' });
+  assert.ok(resolveOutputUrl('testpattern:bars', {}, opts).url.startsWith('data:text/html'));
+  assert.equal(resolveOutputUrl('lobby', {}, opts).path, 'outputKey');
+  assert.equal(resolveOutputUrl('Output7', {}, opts).path, 'outputKey');
+});
+
+test('routes and query parameters stay within the app', () => {
+  assert.deepEqual(
+    resolveOutputUrl('output3', { route: '/countdown', query: { theme: 'dark', size: 'l g' } }, opts),
+    { url: 'http://127.0.0.1:4000/#/countdown?theme=dark&size=l+g' }
+  );
+  assert.deepEqual(
+    resolveOutputUrl('stage', { query: { mirror: '1' } }, { ...opts, hashRouting: false }),
+    { url: 'http://127.0.0.1:4000/stage?mirror=1' }
+  );
+  assert.equal(resolveOutputUrl('output3', { route: '../admin' }, opts).path, 'route');
+  assert.equal(resolveOutputUrl('output3', { route: 'a b' }, opts).path, 'route');
+});
+
+test('percent-encoded dot segments cannot climb out of the app', () => {
+  assert.equal(resolveOutputUrl('output3', { route: '%2e%2e/admin' }, opts).path, 'route');
+  assert.equal(resolveOutputUrl('output3', { route: 'lyrics/..%2f..%2fadmin' }, opts).path, 'route');
+  assert.equal(resolveOutputUrl('output3', { route: '.%2E/admin' }, opts).path, 'route');
+  assert.equal(resolveOutputUrl('output3', { route: '%E0%A4%A' }, opts).path, 'route');
+  assert.deepEqual(resolveOutputUrl('output3', { route: 'songs/a%20b' }, opts), { url: 'http://127.0.0.1:4000/#/songs/a%20b' });
+});
+
+test('full URLs must be on the app origin or an allowed origin', () => {
+  assert.deepEqual(
+    resolveOutputUrl('output4', { url: 'https://overlays.example.com/lower.html?a=1', query: { b: '2' } }, opts),
+    { url: 'https://overlays.example.com/lower.html?a=1&b=2' }
+  );
+  assert.deepEqual(
+    resolveOutputUrl('output4', { url: 'http://127.0.0.1:4000/confidence' }, opts),
+    { url: 'http://127.0.0.1:4000/confidence' }
+  );
+  assert.deepEqual(resolveOutputUrl('output4', { url: 'https://example.org/' }, opts), {
+    error: 'origin not allowed: https://example.org',
+    path: 'url',
+  });
+  assert.equal(resolveOutputUrl('output4', { url: 'file:///etc/passwd' }, opts).error, 'must be an http or https URL');
+  assert.equal(resolveOutputUrl('output4', { url: 'countdown' }, opts).error, 'must be an absolute URL');
+  assert.equal(resolveOutputUrl('output4', { url: 'http://127.0.0.1:4000/', route: 'x' }, opts).path, 'url');
+});
+
+test('origins are reduced to scheme, host and port', () => {
+  assert.equal(normalizeOrigin('https://Overlays.Example.com:443/path'), 'https://overlays.example.com');
+  assert.equal(normalizeOrigin('http://10.0.0.5:8080'), 'http://10.0.0.5:8080');
+  assert.equal(normalizeOrigin('overlays.example.com'), null);
+});
+
+test('navigation checks accept only the app and allowed origins', () => {
+  assert.equal(isAllowedOrigin('http://127.0.0.1:4000/#/stage', opts), true);
+  assert.equal(isAllowedOrigin('https://overlays.example.com/x', opts), true);
+  assert.equal(isAllowedOrigin('https://evil.example.com/', opts), false);
+  assert.equal(isAllowedOrigin('javascript:alert(1)', opts), false);
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { drawOverlays, drawText, formatTimecode, hasOverlays, measureText, normalizeOverlays } from '../src/overlays.js';
+import { validateIpcCommand } from '../src/ipcProtocol.js';
+
+const pixel = (bgra, width, x, y) => [...bgra.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+test('overlay config defaults to everything off and clamps the watermark', () => {
+  assert.deepEqual(normalizeOverlays(), { safeAreas: false, timecode: false, frameCounter: false, label: false, watermark: null });
+  assert.equal(hasOverlays(normalizeOverlays()), false);
+  assert.deepEqual(normalizeOverlays({ timecode: true, watermark: { path: 'logo.png', opacity: 2 } }).watermark, {
+    path: 'logo.png',
+    position: 'top-right',
+    opacity: 1,
+    scale: 0.15,
+  });
+});
+
+test('timecodes count frames within the second at the output framerate', () => {
+  const ms = new Date(2026, 0, 1, 9, 5, 7, 500).getTime();
+  assert.equal(formatTimecode(ms, 25), '09:05:07:12');
+  assert.equal(formatTimecode(ms, 59.94), '09:05:07:30');
+});
+
+test('text is drawn in white on a translucent box', () => {
+  const width = 20;
+  const height = 12;
+  const bgra = new Uint8Array(width * height * 4);
+  drawText(bgra, width, height, '1', 4, 2, 1);
+
+  assert.equal(measureText('10', 2), 22);
+  // Top row of "1" is the single centre pixel.
+  assert.deepEqual(pixel(bgra, width, 6, 2), [255, 255, 255, 255]);
+  assert.deepEqual(pixel(bgra, width, 4, 2), [0, 0, 0, 160]);
+  assert.deepEqual(pixel(bgra, width, 19, 11), [0, 0, 0, 0]);
+});
+
+test('safe-area guides and the watermark land where configured', () => {
+  const width = 200;
+  const height = 100;
+  const bgra = new Uint8Array(width * height * 4);
+  const watermark = { width: 2, height: 2, data: new Uint8Array(16).fill(255) };
+  drawOverlays(bgra, width, height, normalizeOverlays({
+    safeAreas: true,
+    watermark: { path: 'logo.png', position: 'bottom-left', opacity: 1 },
+  }), { label: '', timecode: '', frame: 0, watermark });
+
+  // Action safe is 93% of 200×100, centred: its left edge is at x = 7.
+  assert.deepEqual(pixel(bgra, width, 7, 50), [0, 192, 0, 255]);
+  assert.deepEqual(pixel(bgra, width, 10, 50), [0, 192, 192, 255]);
+  // 5% margin from the bottom-left corner.
+  assert.deepEqual(pixel(bgra, width, 5, 93), [255, 255, 255, 255]);
+  assert.deepEqual(pixel(bgra, width, 100, 50), [0, 0, 0, 0]);
+});
+
+test('overlay commands are validated', () => {
+  assert.equal(validateIpcCommand({ type: 'set_overlays', payload: { safeAreas: true, label: true } }), null);
+  assert.equal(validateIpcCommand({ type: 'clear_overlays', output: 'stage' }), null);
+  assert.equal(
+    validateIpcCommand({ type: 'set_overlays', output: 'stage', payload: { watermark: { opacity: 0.5 } } }).path,
+    'payload.watermark.path'
+  );
+});
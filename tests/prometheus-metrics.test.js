@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { escapeLabelValue, formatPrometheusMetrics } from '../src/prometheusMetrics.js';
+
+const stats = {
+  perOutput: {
+    output1: {
+      sourceName: 'Lyrics "Main"',
+      width: 1920,
+      height: 1080,
+      framerate: 30,
+      pixelFormat: 'uyvy',
+      alphaMode: 'embedded',
+      render_fps: 29.5,
+      send_fps: 30,
+      avg_frame_ms: 33.9,
+      p95_frame_ms: 40,
+      avg_send_ms: 33.3,
+      p95_send_ms: 35,
+      avg_send_jitter_ms: 0.5,
+      framesSent: 900,
+      framesDropped: 2,
+      framesRepeated: 400,
+      framesCoalesced: 1,
+      ndiSendFailures: 0,
+      connections: 2,
+      tally: { onProgram: true, onPreview: false },
+      senderReady: true,
+      pageLoaded: true,
+      pipeline: { dropped_busy: 1, dropped_queue_full: 1, dropped_not_ready: 0, dropped_error: 0 },
+    },
+  },
+  health: {
+    ndi_backend: 'grandi',
+    warning_flags: ['ndi_backend_unavailable', 'output1:send_cadence_low'],
+  },
+};
+
+test('per-output series carry an output label', () => {
+  const text = formatPrometheusMetrics(stats);
+  assert.match(text, /^# TYPE lyricdisplay_ndi_output_send_fps gauge$/m);
+  assert.match(text, /^lyricdisplay_ndi_output_send_fps\{output="output1"\} 30$/m);
+  assert.match(text, /^lyricdisplay_ndi_output_frames_dropped_total\{output="output1"\} 2$/m);
+  assert.match(text, /^lyricdisplay_ndi_output_send_jitter_avg_seconds\{output="output1"\} 0.0005$/m);
+  assert.match(text, /^lyricdisplay_ndi_output_tally_program\{output="output1"\} 1$/m);
+  assert.match(text, /^lyricdisplay_ndi_output_pipeline_dropped_frames_total\{output="output1",reason="queue_full"\} 1$/m);
+  assert.match(text, /^lyricdisplay_ndi_outputs_enabled 1$/m);
+  assert.ok(text.includes('source_name="Lyrics \\"Main\\""'));
+});
+
+test('warning flags become labelled gauges', () => {
+  const text = formatPrometheusMetrics(stats);
+  assert.match(text, /^lyricdisplay_ndi_warning\{output="",flag="ndi_backend_unavailable"\} 1$/m);
+  assert.match(text, /^lyricdisplay_ndi_warning\{output="output1",flag="send_cadence_low"\} 1$/m);
+});
+
+test('an idle companion still exports its families', () => {
+  const text = formatPrometheusMetrics({ perOutput: {}, health: { ndi_backend: 'unavailable', warning_flags: [] } });
+  assert.match(text, /^lyricdisplay_ndi_backend_available\{backend="unavailable"\} 0$/m);
+  assert.match(text, /^# TYPE lyricdisplay_ndi_warning gauge$/m);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('label values are escaped', () => {
+  assert.equal(escapeLabelValue('a\\b"c\nd'), 'a\\\\b\\"c\\nd');
+});
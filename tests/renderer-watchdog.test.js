@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import test, { mock } from 'node:test';
+import { createRendererWatchdog } from '../src/rendererWatchdog.js';
+
+function setup(options = {}) {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  let clock = 0;
+  const actions = [];
+  const events = [];
+  const watchdog = createRendererWatchdog({
+    reload: () => actions.push('reload'),
+    rebuild: () => actions.push('rebuild'),
+    onRecovery: (event) => events.push(event),
+    now: () => clock,
+    ...options,
+  });
+  const advance = (ms) => {
+    clock += ms;
+    mock.timers.tick(ms);
+  };
+  return { watchdog, actions, events, advance };
+}
+
+test('failed loads are retried with exponential backoff, then the window is rebuilt', (t) => {
+  t.after(() => mock.timers.reset());
+  const { watchdog, actions, events, advance } = setup();
+
+  watchdog.reportFailure('load_failed');
+  advance(999);
+  assert.deepEqual(actions, []);
+  advance(1);
+  assert.deepEqual(actions, ['reload']);
+
+  watchdog.reportFailure('load_failed');
+  advance(2000);
+  watchdog.reportFailure('load_failed');
+  advance(4000);
+  assert.deepEqual(actions, ['reload', 'reload', 'rebuild']);
+  assert.deepEqual(events.map((event) => [event.action, event.delayMs]), [
+    ['reload', 1000],
+    ['reload', 2000],
+    ['rebuild', 4000],
+  ]);
+
+  assert.equal(watchdog.recovering, true);
+  watchdog.reportLoaded();
+  assert.equal(watchdog.recovering, false);
+  assert.deepEqual(events.at(-1), { event: 'renderer_recovered', reason: 'load_failed', attempt: 3 });
+  assert.deepEqual(watchdog.getStats(), {
+    renderer_reloads: 2,
+    renderer_rebuilds: 1,
+    renderer_recovering: false,
+    last_recovery_reason: 'load_failed',
+    last_recovery_ts: 7000,
+  });
+});
+
+test('backoff is capped and resets once the page has stayed up', (t) => {
+  t.after(() => mock.timers.reset());
+  const { watchdog, events, advance } = setup({ baseDelayMs: 1000, maxDelayMs: 3000 });
+
+  for (let i = 0; i < 4; i++) {
+    watchdog.reportFailure('crashed');
+    advance(3000);
+  }
+  assert.deepEqual(events.map((event) => event.delayMs), [1000, 2000, 3000, 3000]);
+
+  watchdog.reportLoaded();
+  advance(60_000);
+  watchdog.reportFailure('crashed');
+  assert.equal(events.at(-1).delayMs, 1000);
+  assert.equal(events.at(-1).attempt, 1);
+});
+
+test('an unresponsive renderer is rebuilt unless it recovers during the grace period', (t) => {
+  t.after(() => mock.timers.reset());
+  const { watchdog, actions, advance } = setup();
+
+  watchdog.reportFailure('unresponsive');
+  advance(2000);
+  watchdog.reportResponsive();
+  advance(10_000);
+  assert.deepEqual(actions, []);
+  assert.equal(watchdog.recovering, false);
+
+  watchdog.reportFailure('unresponsive');
+  advance(5000);
+  assert.deepEqual(actions, ['rebuild']);
+});
+
+test('stopping cancels a scheduled recovery', (t) => {
+  t.after(() => mock.timers.reset());
+  const { watchdog, actions, advance } = setup();
+
+  watchdog.reportFailure('crashed');
+  watchdog.stop();
+  advance(5000);
+  watchdog.reportFailure('crashed');
+  advance(5000);
+  assert.deepEqual(actions, []);
+});
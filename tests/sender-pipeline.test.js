@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import test from 'node:test';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+const registerFakeGrandi = new URL('./helpers/register-fake-grandi.js', import.meta.url).href;
+const scenarioScript = new URL('./helpers/sender-pipeline-scenarios.js', import.meta.url).pathname;
+
+// Workers only inherit a grandi stand-in from a process started with it.
+async function runScenario(name, env = {}) {
+  const { stdout } = await run(process.execPath, ['--import', registerFakeGrandi, scenarioScript, name], {
+    env: { ...process.env, ...env },
+    timeout: 20_000,
+  });
+  const line = stdout.split('\n').find((text) => text.startsWith('RESULT '));
+  assert.ok(line, `scenario ${name} printed no result:\n${stdout}`);
+  return JSON.parse(line.slice('RESULT '.length));
+}
+
+test('at most queueDepth + 1 frames are outstanding; the rest are dropped as busy', async () => {
+  const { accepted, stats } = await runScenario('bounded', { FAKE_GRANDI_VIDEO_MS: '300' });
+
+  assert.deepEqual(accepted, [true, true, false, false]);
+  assert.equal(stats.dropped_busy, 2);
+  // The worker's sender holds one frame, so the second is rejected there.
+  assert.equal(stats.dropped_queue_full, 1);
+  assert.equal(stats.dropped_not_ready, 0);
+  assert.equal(stats.outstanding_frames, 0);
+});
+
+test('frames sent before the NDI sender is ready are dropped as not ready', async () => {
+  const { accepted, stats } = await runScenario('notReady', { FAKE_GRANDI_CREATE_MS: '500' });
+
+  assert.equal(accepted, true);
+  assert.equal(stats.dropped_not_ready, 1);
+  assert.equal(stats.dropped_busy + stats.dropped_queue_full + stats.dropped_error, 0);
+});
+
+test('frames that throw in the worker are dropped as errors', async () => {
+  const { accepted, stats } = await runScenario('error');
+
+  assert.equal(accepted, true);
+  assert.equal(stats.dropped_error, 1);
+  assert.equal(stats.conversions, 0);
+  assert.equal(stats.outstanding_frames, 0);
+});
+
+test('a pipeline whose NDI sender cannot be created is marked failed', async () => {
+  const { ready, failed } = await runScenario('createFailed', { FAKE_GRANDI_CREATE_FAIL: '1' });
+
+  assert.equal(ready, false);
+  assert.match(failed, /could not create NDI sender "TEST"/);
+});
+
+test('a frame whose send fails is reported as a failed send, not as sent', async () => {
+  const { accepted, results, failures, stats } = await runScenario('sendFailed', { FAKE_GRANDI_VIDEO_FAIL: '1' });
+
+  assert.equal(accepted, true);
+  assert.deepEqual(results, []);
+  assert.equal(failures, 1);
+  assert.equal(stats.dropped_error, 1);
+  assert.equal(stats.outstanding_frames, 0);
+});
+
+test('destroying the pipeline releases every pooled slot', async () => {
+  const { before, after, result, accepted } = await runScenario('destroy', { FAKE_GRANDI_VIDEO_MS: '1000' });
+
+  assert.equal(before.outstanding_frames, 2);
+  // The fake video() call outlasts the timeout, so the worker is terminated mid-send.
+  assert.equal(result.forced, true);
+  assert.equal(after.outstanding_frames, 0);
+  assert.equal(after.free_buffers, after.pooled_buffers);
+  assert.equal(accepted, false);
+});
+
+test('a multiview frame is composed in the worker from another pipeline\'s held capture', async () => {
+  const { composed, refused, accepted, sourceWhileComposing, sourceAfter, stats } = await runScenario('multiview');
+
+  assert.equal(composed, true);
+  assert.equal(refused, true);
+  assert.equal(accepted, true);
+  assert.equal(sourceWhileComposing.pooled_buffers, 2);
+  assert.equal(sourceWhileComposing.free_buffers, 0);
+  assert.equal(sourceAfter.free_buffers, 1);
+  assert.equal(stats.conversions, 1);
+  assert.equal(stats.dropped_error, 0);
+});
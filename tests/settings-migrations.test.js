@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  SETTINGS_SCHEMA_VERSION,
+  migrateSettings,
+  readSavedOutputConfigs,
+} from '../src/settingsMigrations.js';
+
+test('unversioned settings files migrate to the current schema', () => {
+  assert.deepEqual(migrateSettings({}), { outputs: {}, schemaVersion: SETTINGS_SCHEMA_VERSION });
+  assert.deepEqual(migrateSettings({ outputs: ['output1'], theme: 'dark' }), {
+    outputs: {},
+    theme: 'dark',
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+  });
+  assert.equal(migrateSettings(null).schemaVersion, SETTINGS_SCHEMA_VERSION);
+});
+
+test('current settings pass through unchanged', () => {
+  const current = { schemaVersion: SETTINGS_SCHEMA_VERSION, outputs: { stage: { framerate: 30 } } };
+  assert.deepEqual(migrateSettings(current), current);
+});
+
+test('settings from a newer schema are refused', () => {
+  assert.throws(() => migrateSettings({ schemaVersion: SETTINGS_SCHEMA_VERSION + 1 }), /newer than supported/);
+});
+
+test('saved output configs skip unknown keys and invalid configs', () => {
+  const { configs, skipped } = readSavedOutputConfigs({
+    output1: { resolution: '720p', framerate: 50, pixelFormat: 'uyvy' },
+    stage: { resolution: '8k' },
+    lobby: { resolution: '1080p' },
+  });
+  assert.deepEqual(configs, {
+    output1: { resolution: '720p', framerate: 50, pixelFormat: 'uyvy', enabled: true },
+  });
+  assert.deepEqual(skipped, ['stage', 'lobby']);
+});
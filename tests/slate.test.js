@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import test from 'node:test';
+import { buildSlateHtml, buildSlateUrl, normalizeSlateConfig, probeAppUrl } from '../src/slate.js';
+import { validateIpcCommand } from '../src/ipcProtocol.js';
+
+test('slate config defaults to a disabled transparent slate without text', () => {
+  assert.deepEqual(normalizeSlateConfig(), { enabled: false, style: 'transparent', text: '' });
+  assert.equal(normalizeSlateConfig({ style: 'black' }).enabled, false);
+  assert.equal(normalizeSlateConfig({ enabled: true }).enabled, true);
+  assert.deepEqual(normalizeSlateConfig({ enabled: false, style: 'neon', text: 'x'.repeat(300) }), {
+    enabled: false,
+    style: 'transparent',
+    text: 'x'.repeat(256),
+  });
+});
+
+test('slate pages escape their text and carry the style background', () => {
+  const html = buildSlateHtml({ style: 'black', text: '<b>Back soon</b> & "stay"' });
+  assert.match(html, /&lt;b&gt;Back soon&lt;\/b&gt; &amp; &quot;stay&quot;/);
+  assert.match(html, /background:#000/);
+  assert.doesNotMatch(buildSlateHtml({}), /class="text"/);
+  assert.match(buildSlateHtml({ style: 'branded' }), /LyricDisplay/);
+  assert.ok(buildSlateUrl({ text: 'Hi' }).startsWith('data:text/html;charset=utf-8,'));
+});
+
+test('slate settings are validated as part of an output config', () => {
+  assert.equal(validateIpcCommand({
+    type: 'update_output',
+    output: 'output1',
+    payload: { slate: { style: 'branded', text: 'Starting soon' } },
+  }), null);
+  assert.equal(
+    validateIpcCommand({ type: 'update_output', output: 'output1', payload: { slate: { style: 'red' } } }).path,
+    'payload.slate.style'
+  );
+});
+
+test('backend probe treats server errors and refused connections as unreachable', async () => {
+  let status = 200;
+  const server = http.createServer((_req, res) => {
+    res.writeHead(status);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/#/output1`;
+  try {
+    assert.equal(await probeAppUrl(url), true);
+    status = 503;
+    assert.equal(await probeAppUrl(url), false);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  assert.equal(await probeAppUrl(url, { timeoutMs: 500 }), false);
+});
+
+test('backend probe does not follow redirects off the app', async () => {
+  let followed = false;
+  const elsewhere = http.createServer((_req, res) => {
+    followed = true;
+    res.end();
+  });
+  await new Promise((resolve) => elsewhere.listen(0, '127.0.0.1', resolve));
+  const app = http.createServer((_req, res) => {
+    res.writeHead(302, { location: `http://127.0.0.1:${elsewhere.address().port}/` });
+    res.end();
+  });
+  await new Promise((resolve) => app.listen(0, '127.0.0.1', resolve));
+  try {
+    assert.equal(await probeAppUrl(`http://127.0.0.1:${app.address().port}/`), true);
+    assert.equal(followed, false);
+  } finally {
+    await new Promise((resolve) => app.close(resolve));
+    await new Promise((resolve) => elsewhere.close(resolve));
+  }
+});
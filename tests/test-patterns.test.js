@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { buildTestPatternHtml, buildTestPatternUrl, parseTestPatternKey } from '../src/testPatterns.js';
+import { matchHttpRoute } from '../src/httpRoutes.js';
+import { isKnownOutputKey, validateIpcCommand } from '../src/ipcProtocol.js';
+
+test('test pattern keys name one of the built-in patterns', () => {
+  assert.equal(parseTestPatternKey('testpattern:bars'), 'bars');
+  // Output keys are case-sensitive, so this would be a second, separate output.
+  assert.equal(parseTestPatternKey('TestPattern:Grid'), null);
+  assert.equal(parseTestPatternKey('testpattern:clock'), 'clock');
+  assert.equal(parseTestPatternKey('testpattern:zone'), null);
+  assert.equal(parseTestPatternKey('output1'), null);
+});
+
+test('test pattern keys are accepted as output keys', () => {
+  assert.equal(isKnownOutputKey('testpattern:grid'), true);
+  assert.equal(isKnownOutputKey('testpattern:'), false);
+  assert.equal(validateIpcCommand({ type: 'enable_output', output: 'testpattern:bars', payload: { framerate: 50 } }), null);
+  assert.deepEqual(matchHttpRoute('PUT', '/outputs/testpattern%3Aclock'), { route: 'output', outputKey: 'testpattern:clock' });
+});
+
+test('test pattern pages carry the output format', () => {
+  const html = buildTestPatternHtml('clock', { width: 1280, height: 720, framerate: { numerator: 30000, denominator: 1001 } });
+  assert.match(html, /const PARAMS = \{"pattern":"clock","width":1280,"height":720,"framerate":29\.970\d+,"framerateLabel":"29\.97"\};/);
+  const url = buildTestPatternUrl('bars', { width: 1920, height: 1080, framerate: { numerator: 30, denominator: 1 } });
+  assert.ok(url.startsWith('data:text/html;charset=utf-8,'));
+});